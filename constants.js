@@ -4,6 +4,15 @@ const AUTOSTREAM_DEBUG = process.env.AUTOSTREAM_DEBUG === '1';
 
 // Cloudflare Worker proxy URL - set in Render environment to bypass IP blocks
 const CF_PROXY_URL = process.env.CF_PROXY_URL || '';
+// Several proxies: comma-separated, each optionally with a weight ("https://a.workers.dev|3,https://b.workers.dev")
+// Takes precedence over CF_PROXY_URL. Requests rotate to the next proxy on 403/429/5xx, then go direct
+// unless CF_PROXY_DIRECT_FALLBACK=false
+const CF_PROXY_URLS = process.env.CF_PROXY_URLS || '';
+const CF_PROXY_DIRECT_FALLBACK = process.env.CF_PROXY_DIRECT_FALLBACK !== 'false';
+
+// User-supplied source URLs (custom addons, Torznab) may not point at private/loopback/link-local hosts.
+// Self-hosted instances can allow their own: comma-separated hostnames or IPs, or * for any host
+const PRIVATE_SOURCE_HOSTS = process.env.PRIVATE_SOURCE_HOSTS || '';
 
 const BASE_TORRENTIO = 'https://torrentio.strem.fun';
 const BASE_TPB = 'https://thepiratebay-plus.strem.fun';
@@ -37,6 +46,9 @@ module.exports = {
   PORT, 
   AUTOSTREAM_DEBUG, 
   CF_PROXY_URL, 
+  CF_PROXY_URLS,
+  CF_PROXY_DIRECT_FALLBACK,
+  PRIVATE_SOURCE_HOSTS,
   BASE_TORRENTIO, 
   BASE_TPB, 
   BASE_CINEMETA, 
@@ -53,6 +53,19 @@ const TIMEOUTS = {
   SOURCE_FETCH: 12000,                // 12 seconds
   PLAY_REQUEST: 25000,                // 25 seconds
   HEALTH_CHECK: 5000,                 // 5 seconds
+  SOURCE_DEADLINE: 8000,              // Stream route answers with whatever sources returned by then
+  EARLY_EXIT_MIN_GOOD: 6,             // ...or as soon as this many good candidates (debrid/direct, 1080p+) are in
+};
+
+// ============ SOURCE HEALTH ============
+const SOURCE_HEALTH = {
+  WINDOW_SIZE: 50,                    // Recent fetches kept per source
+  MIN_SAMPLES: 10,                    // Successful fetches needed before adapting the timeout
+  TIMEOUT_P95_FACTOR: 2,              // Adaptive timeout = p95 latency x factor (capped at the source's base timeout)
+  MIN_TIMEOUT: 3000,                  // 3 seconds
+  FAILURES_TO_OPEN: 5,                // Consecutive failures before a source is skipped
+  OPEN_MS: 2 * 60 * 1000,             // 2 minutes skipped, doubled on every failed retry
+  MAX_OPEN_MS: 30 * 60 * 1000,        // 30 minutes
 };
 
 // ============ HTTP ============
@@ -100,6 +113,7 @@ module.exports = {
   SIZE_LIMITS,
   POLLING,
   TIMEOUTS,
+  SOURCE_HEALTH,
   HTTP,
   QUALITY_SCORES,
   SEEDER_SCORES
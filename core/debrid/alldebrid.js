@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * AllDebrid adapter
+ * Flow: magnet/upload -> magnet/status (by id, matched on hash) -> magnet links or magnet/files -> link/unlock
+ */
+
+const { debridApiCall, jsonSafe, sanitizeResponseForLogging, permanentFailure } = require('./client');
+
+// AllDebrid errors that waiting will never fix
+const PERMANENT_UPLOAD_ERRORS = [
+ 'MAGNET_MUST_BE_PREMIUM',
+ 'AUTH_BLOCKED',
+ 'AUTH_BAD_APIKEY',
+ 'AUTH_USER_BANNED',
+ 'NO_SERVER' // AllDebrid blocks server/VPN IPs - user needs to check their network
+];
+const PERMANENT_STATUS_ERRORS = [
+ 'MAGNET_MUST_BE_PREMIUM',
+ 'AUTH_BLOCKED',
+ 'AUTH_BAD_APIKEY',
+ 'AUTH_USER_BANNED',
+ 'MAGNET_TOO_MANY'
+ // 'MAGNET_INVALID_ID' is not permanent - it can happen during processing
+];
+
+const adFailure = (error) => permanentFailure(error.code, error.message || 'AllDebrid service error');
+
+// magnet/status answers with either an array or a single magnet object
+function magnetsOf(sj) {
+ if (!sj || sj.status !== 'success' || !sj.data) return [];
+ if (Array.isArray(sj.data.magnets)) return sj.data.magnets;
+ if (sj.data.magnets && typeof sj.data.magnets === 'object') return [sj.data.magnets];
+ return [];
+}
+
+// magnet/files returns a tree of { n, s, l } entries with nested { n, e: [...] } folders
+function flattenFileTree(entries, prefix = '') {
+ let out = [];
+ for (const entry of entries || []) {
+ const name = prefix ? `${prefix}/${entry.n}` : entry.n;
+ if (Array.isArray(entry.e)) out = out.concat(flattenFileTree(entry.e, name));
+ else if (entry.l) out.push({ name: name || 'Unknown', size: entry.s || 0, link: entry.l });
+ }
+ return out;
+}
+
+async function validateKey(token) {
+ const response = await debridApiCall(alldebrid, 'user', { method: 'GET' }, 5000, token);
+ const data = await jsonSafe(response);
+ return !!(data && data.status === 'success' && data.data && data.data.user);
+}
+
+async function checkInstantAvailability(token, infoHashes) {
+ const cached = {};
+ if (!infoHashes.length) return cached;
+ 
+ const response = await debridApiCall(alldebrid, 'magnet/instant', { method: 'GET', query: { 'magnets[]': infoHashes } }, 5000, token);
+ const data = await jsonSafe(response);
+ if (!data || data.status !== 'success') return null;
+ for (const m of magnetsOf(data)) {
+ if (m && m.instant && m.hash) cached[String(m.hash).toLowerCase()] = true;
+ }
+ return cached;
+}
+
+async function addMagnet(token, magnet, { log, isFirstRequest }) {
+ const up = await debridApiCall(alldebrid, 'magnet/upload', { method: 'GET', query: { magnet } }, 15000, token);
+ const uploadResult = await jsonSafe(up);
+ const uploaded = uploadResult && uploadResult.status === 'success' && uploadResult.data && Array.isArray(uploadResult.data.magnets)
+ ? uploadResult.data.magnets[0]
+ : null;
+ const error = (uploadResult && uploadResult.error) || (uploaded && uploaded.error);
+ 
+ if (error) {
+ log('Upload error details: ' + JSON.stringify(error));
+ if (PERMANENT_UPLOAD_ERRORS.includes(error.code)) {
+ log('[FAIL] Permanent upload error: ' + error.code + ' - stopping immediately');
+ return { failure: adFailure(error) };
+ }
+ }
+ 
+ if (isFirstRequest) {
+ log('Upload result: ' + (uploaded && uploaded.id ? 'success' : ((uploadResult && uploadResult.status) || 'failed')));
+ if (!uploaded) log('Full upload response: ' + JSON.stringify(sanitizeResponseForLogging(uploadResult)));
+ }
+ 
+ // Without an id the status poll falls back to matching the hash across all magnets
+ return { id: (uploaded && uploaded.id) || null };
+}
+
+async function getStatus(token, transfer, { ih, log }) {
+ const query = transfer.id ? { id: transfer.id } : null;
+ const st = await debridApiCall(alldebrid, 'magnet/status', { method: 'GET', query }, 15000, token);
+ const sj = await jsonSafe(st);
+ 
+ log('Status response: status=' + st.status + ', ok=' + st.ok, 'verbose');
+ 
+ if (sj && sj.status === 'error' && sj.error && PERMANENT_STATUS_ERRORS.includes(sj.error.code)) {
+ log('[FAIL] Permanent AllDebrid error: ' + sj.error.code + ' - ' + (sj.error.message || 'Unknown error'));
+ return { failure: adFailure(sj.error) };
+ }
+ 
+ const magnets = magnetsOf(sj);
+ const targetHash = (ih || '').toLowerCase();
+ const matchingMagnet = magnets.find(m => m && ((transfer.id && m.id === transfer.id) || (m.hash && m.hash.toLowerCase() === targetHash)));
+ 
+ if (!matchingMagnet) {
+ log('No matching magnet found for hash: ' + targetHash + ', available magnets: ' + magnets.map(m => m && m.hash).join(','));
+ return { state: 'pending' };
+ }
+ 
+ log('Found matching magnet: ' + matchingMagnet.id + ' ' + matchingMagnet.hash + ' status=' + matchingMagnet.status, 'verbose');
+ transfer.id = matchingMagnet.id;
+ 
+ if (matchingMagnet.status === 'In queue') return { state: 'queued' };
+ if (matchingMagnet.status === 'Downloading') {
+ const total = matchingMagnet.size || 0;
+ return { state: 'downloading', progress: total > 0 ? ((matchingMagnet.downloaded || 0) / total) * 100 : 0 };
+ }
+ if (matchingMagnet.status === 'Ready') {
+ transfer.magnet = matchingMagnet;
+ return { state: 'ready' };
+ }
+ if (matchingMagnet.status === 'Error' || matchingMagnet.status === 'Dead') return { state: 'failed', detail: matchingMagnet.status };
+ return { state: 'pending' };
+}
+
+async function listFiles(token, transfer, { log }) {
+ // Older status responses carry one link per file; otherwise ask the files API
+ const links = transfer.magnet && Array.isArray(transfer.magnet.links) ? transfer.magnet.links : [];
+ if (links.length > 0) {
+ return links.map(link => ({ name: link.filename || 'Unknown', size: link.size || 0, link: link.link }));
+ }
+ 
+ const f = await debridApiCall(alldebrid, 'magnet/files', { method: 'GET', query: { 'id[]': [transfer.id] } }, 15000, token);
+ const fj = await jsonSafe(f);
+ log('Files API response: status=' + f.status + ', ok=' + f.ok, 'verbose');
+ 
+ const entry = magnetsOf(fj).find(m => m && String(m.id) === String(transfer.id));
+ return entry ? flattenFileTree(entry.files) : [];
+}
+
+async function unrestrict(token, transfer, file, { log }) {
+ // Unlock failures are non-fatal: the raw link still plays for most files
+ try {
+ const unl = await debridApiCall(alldebrid, 'link/unlock', { method: 'GET', query: { link: file.link } }, 15000, token);
+ const uj = await jsonSafe(unl);
+ log('Unlock response: status=' + unl.status + ', ok=' + unl.ok + ', body=' + JSON.stringify(sanitizeResponseForLogging(uj)), 'verbose');
+ return { url: (uj && uj.status === 'success' && uj.data && (uj.data.link || uj.data.download || uj.data.downloadLink)) || file.link };
+ } catch (e) {
+ log('Unlock error (non-fatal): ' + e.message);
+ return { url: file.link };
+ }
+}
+
+const alldebrid = {
+ key: 'alldebrid',
+ name: 'AllDebrid',
+ shortName: 'AD',
+ shortParam: 'ad',
+ apiBaseUrl: 'https://api.alldebrid.com/v4', // Confirmed v4 works
+ authHeader: 'Bearer', // AllDebrid DOES use Authorization Bearer headers
+ headers: {
+ 'User-Agent': 'AutoStream/3.0' // Required for hosting providers
+ },
+ enabled: true,
+ // AllDebrid parks some torrents "In queue" until the user selects files on the site
+ queuedResponse: {
+ requiresManualProcessing: true,
+ msg: 'This torrent requires manual processing in AllDebrid. Please visit alldebrid.com to select files, then try again.'
+ },
+ validateKey,
+ checkInstantAvailability,
+ addMagnet,
+ getStatus,
+ listFiles,
+ unrestrict
+};
+
+module.exports = alldebrid;
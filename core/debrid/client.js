@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * Shared HTTP plumbing for debrid provider adapters (core/debrid/*.js):
+ * rate limiting, circuit breaking, authenticated API calls and the
+ * { status, body } failure responses returned to handlePlay.
+ */
+
+let fetchWithTimeout;
+try { ({ fetchWithTimeout } = require('../../utils/http')); }
+catch {
+ fetchWithTimeout = async (url, init, ms) => {
+ const ac = new AbortController();
+ const t = setTimeout(() => ac.abort(), ms || 12000);
+ try { return await fetch(url, { ...(init||{}), signal: ac.signal }); }
+ finally { clearTimeout(t); }
+ };
+}
+
+// API Rate Limiter for debrid providers to prevent throttling
+class DebridRateLimiter {
+ constructor() {
+ this.requests = new Map(); // API key -> request timestamps array
+ this.maxRequestsPerMinute = 30; // Conservative limit for debrid APIs
+ this.maxRequestsPerHour = 1000; // Conservative hourly limit
+ this.maxCacheSize = 200; // Limit cache size to prevent memory leaks
+ this.cleanupInterval = setInterval(() => this.cleanup(), 60000); // Cleanup every minute
+ }
+ 
+ async checkRateLimit(apiKey) {
+ if (!apiKey) return true; // No rate limiting if no API key
+ 
+ const now = Date.now();
+ const requests = this.requests.get(apiKey) || [];
+ 
+ // Remove requests older than 1 hour
+ const recentRequests = requests.filter(timestamp => now - timestamp < 3600000);
+ 
+ // Check hourly limit
+ if (recentRequests.length >= this.maxRequestsPerHour) {
+ throw new Error('API rate limit exceeded (hourly). Please wait before making more requests.');
+ }
+ 
+ // Check per-minute limit
+ const lastMinuteRequests = recentRequests.filter(timestamp => now - timestamp < 60000);
+ if (lastMinuteRequests.length >= this.maxRequestsPerMinute) {
+ throw new Error('API rate limit exceeded (per minute). Please wait before making more requests.');
+ }
+ 
+ // Add current request
+ recentRequests.push(now);
+ this.requests.set(apiKey, recentRequests);
+ 
+ return true;
+ }
+ 
+ cleanup() {
+ const now = Date.now();
+ const keysToDelete = [];
+ 
+ for (const [apiKey, requests] of this.requests.entries()) {
+ const recentRequests = requests.filter(timestamp => now - timestamp < 3600000);
+ if (recentRequests.length === 0) {
+ keysToDelete.push(apiKey);
+ } else {
+ this.requests.set(apiKey, recentRequests);
+ }
+ }
+ 
+ // Delete empty entries
+ keysToDelete.forEach(key => this.requests.delete(key));
+ 
+ // If still too large, remove oldest entries to prevent memory leaks
+ if (this.requests.size > this.maxCacheSize) {
+ const entries = Array.from(this.requests.entries());
+ const toRemove = entries
+ .sort((a, b) => {
+ const lastRequestA = Math.max(...a[1]);
+ const lastRequestB = Math.max(...b[1]);
+ return lastRequestA - lastRequestB; // Oldest first
+ })
+ .slice(0, this.requests.size - this.maxCacheSize)
+ .map(entry => entry[0]);
+ 
+ toRemove.forEach(key => this.requests.delete(key));
+ 
+ if (toRemove.length > 0) {
+ console.log(`[MEMORY] Cleaned ${toRemove.length} entries from rate limiter cache, size now: ${this.requests.size}`);
+ }
+ }
+ }
+ 
+ destroy() {
+ if (this.cleanupInterval) {
+ clearInterval(this.cleanupInterval);
+ this.cleanupInterval = null;
+ }
+ this.requests.clear();
+ }
+}
+
+// Global rate limiter instance
+const debridRateLimiter = new DebridRateLimiter();
+
+// Circuit breaker for API failures
+class DebridCircuitBreaker {
+ constructor() {
+ this.failures = new Map(); // API key -> failure count and timestamps
+ this.maxFailures = 5; // Max failures before circuit opens
+ this.resetTime = 300000; // 5 minutes before attempting reset
+ this.maxCacheSize = 200; // Limit cache size to prevent memory leaks
+ 
+ // Periodic cleanup to prevent memory leaks
+ setInterval(() => this.cleanup(), 10 * 60 * 1000); // Clean every 10 minutes
+ }
+ 
+ async checkCircuit(apiKey) {
+ if (!apiKey) return true;
+ 
+ const failures = this.failures.get(apiKey);
+ if (!failures) return true;
+ 
+ const now = Date.now();
+ 
+ // Reset circuit if enough time has passed
+ if (now - failures.lastFailure > this.resetTime) {
+ this.failures.delete(apiKey);
+ return true;
+ }
+ 
+ // Check if circuit is open
+ if (failures.count >= this.maxFailures) {
+ throw new Error('Debrid API circuit breaker is open. Service temporarily unavailable.');
+ }
+ 
+ return true;
+ }
+ 
+ recordSuccess(apiKey) {
+ if (!apiKey) return;
+ this.failures.delete(apiKey);
+ }
+ 
+ recordFailure(apiKey) {
+ if (!apiKey) return;
+ 
+ const now = Date.now();
+ const failures = this.failures.get(apiKey) || { count: 0, lastFailure: 0 };
+ 
+ failures.count++;
+ failures.lastFailure = now;
+ 
+ this.failures.set(apiKey, failures);
+ }
+ 
+ cleanup() {
+ const now = Date.now();
+ const keysToDelete = [];
+ 
+ // Remove entries that are past reset time (expired)
+ for (const [apiKey, failures] of this.failures.entries()) {
+ if (now - failures.lastFailure > this.resetTime) {
+ keysToDelete.push(apiKey);
+ }
+ }
+ 
+ keysToDelete.forEach(key => this.failures.delete(key));
+ 
+ // If still too large, remove oldest entries to prevent memory leaks
+ if (this.failures.size > this.maxCacheSize) {
+ const entries = Array.from(this.failures.entries());
+ const toRemove = entries
+ .sort((a, b) => a[1].lastFailure - b[1].lastFailure) // Oldest first
+ .slice(0, this.failures.size - this.maxCacheSize)
+ .map(entry => entry[0]);
+ 
+ toRemove.forEach(key => this.failures.delete(key));
+ 
+ if (toRemove.length > 0) {
+ console.log(`[MEMORY] Cleaned ${toRemove.length} entries from circuit breaker cache, size now: ${this.failures.size}`);
+ }
+ }
+ }
+}
+
+// Global circuit breaker instance
+const debridCircuitBreaker = new DebridCircuitBreaker();
+
+// Security: strip credentials from API responses before logging
+function sanitizeResponseForLogging(responseData) {
+ if (!responseData || typeof responseData !== 'object') return responseData;
+ 
+ const sanitized = JSON.parse(JSON.stringify(responseData));
+ 
+ // Remove any fields that might contain sensitive data
+ const sensitiveFields = ['apikey', 'token', 'key', 'auth', 'password', 'secret'];
+ 
+ function recursiveSanitize(obj) {
+ if (obj && typeof obj === 'object') {
+ for (const [key, value] of Object.entries(obj)) {
+ if (sensitiveFields.some(field => key.toLowerCase().includes(field))) {
+ obj[key] = '***HIDDEN***';
+ } else if (typeof value === 'object') {
+ recursiveSanitize(value);
+ }
+ }
+ }
+ }
+ 
+ recursiveSanitize(sanitized);
+ return sanitized;
+}
+
+async function jsonSafe(res){ try{ return await res.json(); } catch{ return null; } }
+
+// Authenticated debrid REST call for an adapter: auth via query param (provider.authParam) or Authorization header,
+// form-encoded, multipart or JSON bodies for POST endpoints
+async function debridApiCall(provider, endpoint, { method = 'GET', form = null, multipart = false, json = null, query = null } = {}, timeout = 15000, token) {
+ const url = new URL(`${provider.apiBaseUrl}/${endpoint.replace(/^\//, '')}`);
+ 
+ console.log(`[PROVIDER-AWARE] ${provider.name} API call: ${method} ${url.origin}${url.pathname}`);
+ 
+ await debridRateLimiter.checkRateLimit(token);
+ 
+ const init = { method, headers: { ...(provider.headers || {}) } };
+ if (provider.authParam) {
+ url.searchParams.set(provider.authParam, token);
+ } else {
+ init.headers['Authorization'] = `${provider.authHeader} ${token}`;
+ }
+ if (query) {
+ Object.entries(query).forEach(([k, v]) => {
+ // Arrays become repeated params (e.g. magnets[]=a&magnets[]=b)
+ if (Array.isArray(v)) v.forEach(item => url.searchParams.append(k, String(item)));
+ else url.searchParams.set(k, String(v));
+ });
+ }
+ if (json) {
+ init.headers['Content-Type'] = 'application/json';
+ init.body = JSON.stringify(json);
+ } else if (form && multipart) {
+ // fetch sets the multipart boundary header itself
+ const body = new FormData();
+ Object.entries(form).forEach(([k, v]) => body.append(k, String(v)));
+ init.body = body;
+ } else if (form) {
+ init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+ init.body = new URLSearchParams(form).toString();
+ }
+ 
+ try {
+ const response = await fetchWithTimeout(url.toString(), init, timeout);
+ 
+ if (response.status === 429) {
+ const retryAfter = response.headers.get('retry-after') || '60';
+ throw new Error(`Rate limited by ${provider.name} API. Retry after ${retryAfter} seconds.`);
+ }
+ 
+ if (response.status >= 200 && response.status < 500) {
+ debridCircuitBreaker.recordSuccess(token);
+ }
+ 
+ return response;
+ } catch (error) {
+ if (error.message.includes('fetch') || error.message.includes('timeout') || error.message.includes('network')) {
+ debridCircuitBreaker.recordFailure(token);
+ }
+ console.error(`[PROVIDER-AWARE] ${provider.name} API error: ${error.message}`);
+ throw error;
+ }
+}
+
+// Failure responses shared by the click-time resolvers ({ status, body } as returned to handlePlay)
+const notReadyResponse = () => ({ status: 404, body: { ok: false, caching: true, msg: 'Debrid is caching the magnet; try again shortly' } });
+const noPlayableFileResponse = () => ({ status: 404, body: { ok: false, caching: true, msg: 'No playable file yet' } });
+const permanentFailure = (error, message) => ({ status: 400, body: { ok: false, error, message, permanent: true } });
+
+// Cleanup on module unload
+process.on('exit', () => {
+ debridRateLimiter.destroy();
+});
+
+module.exports = {
+ fetchWithTimeout,
+ debridRateLimiter,
+ debridCircuitBreaker,
+ debridApiCall,
+ jsonSafe,
+ sanitizeResponseForLogging,
+ notReadyResponse,
+ noPlayableFileResponse,
+ permanentFailure
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Debrid-Link adapter
+ * Flow: v2/seedbox/add -> v2/seedbox/list -> file downloadUrl (already a direct link)
+ */
+
+const { debridApiCall, jsonSafe, sanitizeResponseForLogging, permanentFailure } = require('./client');
+
+// Debrid-Link errors that waiting will never fix
+const DL_PERMANENT_ERRORS = ['badToken', 'hidedToken', 'notDebrid', 'accountLocked', 'maxTorrent', 'maxData', 'disabledServerHost'];
+
+const dlFailure = (dj) => permanentFailure((dj && dj.error) || 'badToken', 'Debrid-Link service error');
+
+async function validateKey(token) {
+ const response = await debridApiCall(debridlink, 'v2/account/infos', { method: 'GET' }, 5000, token);
+ return response.status === 200;
+}
+
+async function checkInstantAvailability(token, infoHashes) {
+ const cached = {};
+ if (!infoHashes.length) return cached;
+ 
+ const response = await debridApiCall(debridlink, 'v2/seedbox/cached', { method: 'GET', query: { url: infoHashes.join(',') } }, 5000, token);
+ const data = await jsonSafe(response);
+ if (!data || !data.success || !data.value || typeof data.value !== 'object') return null;
+ 
+ // Only cached hashes are present in value
+ for (const hash of Object.keys(data.value)) cached[hash.toLowerCase()] = true;
+ return cached;
+}
+
+async function addMagnet(token, magnet, { log }) {
+ const add = await debridApiCall(debridlink, 'v2/seedbox/add', { method: 'POST', json: { url: magnet, async: true } }, 15000, token);
+ const aj = await jsonSafe(add);
+ const torrentId = aj && aj.success && aj.value && aj.value.id;
+ 
+ if (!torrentId) {
+ log('Add magnet failed: status=' + add.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(aj)));
+ if (add.status === 401 || (aj && DL_PERMANENT_ERRORS.includes(aj.error))) {
+ log('[FAIL] Permanent Debrid-Link error: ' + ((aj && aj.error) || add.status) + ' - stopping immediately');
+ return { failure: dlFailure(aj) };
+ }
+ return { failure: { status: 502, body: { ok: false, error: 'DL_ADD_FAILED', message: 'Debrid-Link could not add the magnet' } } };
+ }
+ 
+ log('Debrid-Link torrent id: ' + torrentId, 'verbose');
+ return { id: torrentId };
+}
+
+async function getStatus(token, transfer, { log }) {
+ const st = await debridApiCall(debridlink, 'v2/seedbox/list', { method: 'GET', query: { ids: transfer.id } }, 15000, token);
+ const sj = await jsonSafe(st);
+ const t = sj && sj.success && Array.isArray(sj.value) ? sj.value.find(v => v && v.id === transfer.id) : null;
+ 
+ if (!t) {
+ log('Seedbox list failed: status=' + st.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(sj)));
+ if (sj && DL_PERMANENT_ERRORS.includes(sj.error)) return { failure: dlFailure(sj) };
+ return { state: 'pending' };
+ }
+ 
+ const progress = Number(t.downloadPercent) || 0;
+ log('Debrid-Link torrent progress=' + progress + '%', 'verbose');
+ if (t.errorId) return { state: 'failed', detail: 'error ' + t.errorId };
+ if (progress >= 100 && Array.isArray(t.files) && t.files.some(f => f && f.downloadUrl)) {
+ transfer.files = t.files;
+ return { state: 'ready' };
+ }
+ return { state: 'downloading', progress };
+}
+
+async function listFiles(token, transfer) {
+ return transfer.files
+ .filter(f => f && f.downloadUrl)
+ .map(f => ({ name: f.name || '', size: Number(f.size) || 0, link: f.downloadUrl }));
+}
+
+async function unrestrict(token, transfer, file) {
+ return { url: file.link };
+}
+
+const debridlink = {
+ key: 'debridlink',
+ name: 'DebridLink',
+ shortName: 'DL',
+ shortParam: 'dl',
+ apiBaseUrl: 'https://debrid-link.fr/api',
+ authHeader: 'Bearer',
+ enabled: true,
+ validateKey,
+ checkInstantAvailability,
+ addMagnet,
+ getStatus,
+ listFiles,
+ unrestrict
+};
+
+module.exports = debridlink;
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * EasyDebrid adapter
+ * Flow: link/generate returns the file list with direct links.
+ * EasyDebrid only serves content it already has cached, so there is nothing to wait for.
+ */
+
+const { debridApiCall, jsonSafe, sanitizeResponseForLogging, permanentFailure } = require('./client');
+
+const magnetOf = (hash) => `magnet:?xt=urn:btih:${hash}`;
+
+async function validateKey(token) {
+ const response = await debridApiCall(easydebrid, 'user/details', { method: 'GET' }, 5000, token);
+ return response.status === 200;
+}
+
+async function checkInstantAvailability(token, infoHashes) {
+ const cached = {};
+ if (!infoHashes.length) return cached;
+ 
+ const response = await debridApiCall(easydebrid, 'link/lookup', { method: 'POST', json: { urls: infoHashes.map(magnetOf) } }, 5000, token);
+ const data = await jsonSafe(response);
+ if (!data || !Array.isArray(data.cached)) return null;
+ 
+ // cached[] is aligned with the urls[] we sent
+ infoHashes.forEach((hash, i) => {
+ if (data.cached[i] === true) cached[hash.toLowerCase()] = true;
+ });
+ return cached;
+}
+
+async function addMagnet(token, magnet, { log }) {
+ const gen = await debridApiCall(easydebrid, 'link/generate', { method: 'POST', json: { url: magnet } }, 15000, token);
+ const gj = await jsonSafe(gen);
+ 
+ if (gen.status === 401 || gen.status === 403) {
+ log('[FAIL] Permanent EasyDebrid error: ' + gen.status + ' - stopping immediately');
+ return { failure: permanentFailure('ED_AUTH_FAILED', (gj && gj.error) || 'EasyDebrid service error') };
+ }
+ 
+ const files = gj && Array.isArray(gj.files) ? gj.files.filter(f => f && f.url) : [];
+ if (!files.length) {
+ log('EasyDebrid has no cached content: ' + JSON.stringify(sanitizeResponseForLogging(gj)));
+ return { failure: { status: 404, body: { ok: false, caching: false, msg: 'This torrent is not cached on EasyDebrid. Try a different stream.' } } };
+ }
+ 
+ return { id: null, files };
+}
+
+async function getStatus() {
+ // link/generate only answers with content that is already cached
+ return { state: 'ready' };
+}
+
+async function listFiles(token, transfer) {
+ return transfer.files.map(f => ({ name: [f.directory, f.filename].filter(Boolean).join('/'), size: Number(f.size) || 0, link: f.url }));
+}
+
+async function unrestrict(token, transfer, file) {
+ return { url: file.link };
+}
+
+const easydebrid = {
+ key: 'easydebrid',
+ name: 'EasyDebrid',
+ shortName: 'ED',
+ shortParam: 'ed',
+ apiBaseUrl: 'https://easydebrid.com/api/v1',
+ authHeader: 'Bearer',
+ enabled: true,
+ validateKey,
+ checkInstantAvailability,
+ addMagnet,
+ getStatus,
+ listFiles,
+ unrestrict
+};
+
+module.exports = easydebrid;
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Offcloud adapter
+ * Flow: POST cloud -> cloud/status -> cloud/explore for the file links.
+ * Single-file downloads are not explorable; their link is built from the status server/fileName.
+ */
+
+const { debridApiCall, jsonSafe, sanitizeResponseForLogging, permanentFailure } = require('./client');
+
+async function validateKey(token) {
+ const response = await debridApiCall(offcloud, 'account/info', { method: 'GET' }, 5000, token);
+ return response.status === 200;
+}
+
+async function checkInstantAvailability(token, infoHashes) {
+ const cached = {};
+ if (!infoHashes.length) return cached;
+ 
+ const response = await debridApiCall(offcloud, 'cache', { method: 'POST', json: { hashes: infoHashes } }, 5000, token);
+ const data = await jsonSafe(response);
+ if (!data || !Array.isArray(data.cachedItems)) return null;
+ for (const hash of data.cachedItems) {
+ cached[String(hash).toLowerCase()] = true;
+ }
+ return cached;
+}
+
+async function addMagnet(token, magnet, { log }) {
+ const add = await debridApiCall(offcloud, 'cloud', { method: 'POST', json: { url: magnet } }, 15000, token);
+ const aj = await jsonSafe(add);
+ 
+ if (!aj || !aj.requestId) {
+ log('Add magnet failed: status=' + add.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(aj)));
+ if (add.status === 401 || add.status === 403 || (aj && /auth|premium|key/i.test(aj.error || ''))) {
+ log('[FAIL] Permanent Offcloud error: ' + ((aj && aj.error) || add.status) + ' - stopping immediately');
+ return { failure: permanentFailure('OC_AUTH_FAILED', (aj && aj.error) || 'Offcloud service error') };
+ }
+ return { failure: { status: 502, body: { ok: false, error: 'OC_ADD_FAILED', message: 'Offcloud could not add the magnet' } } };
+ }
+ 
+ log('Offcloud request id: ' + aj.requestId, 'verbose');
+ return { id: aj.requestId };
+}
+
+async function getStatus(token, transfer, { log }) {
+ const st = await debridApiCall(offcloud, 'cloud/status', { method: 'POST', json: { requestIds: [transfer.id] } }, 15000, token);
+ const sj = await jsonSafe(st);
+ const request = sj && Array.isArray(sj.requests) ? sj.requests.find(r => r && r.requestId === transfer.id) : null;
+ 
+ if (!request) {
+ log('Status lookup failed: status=' + st.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(sj)));
+ return { state: 'pending' };
+ }
+ 
+ log('Offcloud request status=' + request.status, 'verbose');
+ if (request.status === 'downloaded') {
+ transfer.request = request;
+ return { state: 'ready' };
+ }
+ if (request.status === 'error' || request.status === 'canceled') return { state: 'failed', detail: request.status };
+ if (request.status === 'created' || request.status === 'queued') return { state: 'queued' };
+ // Offcloud does not report a percentage
+ return { state: 'downloading', progress: null };
+}
+
+async function listFiles(token, transfer, { log }) {
+ // explore returns an array of direct links for multi-file downloads
+ let files = [];
+ try {
+ const ex = await debridApiCall(offcloud, `cloud/explore/${encodeURIComponent(transfer.id)}`, { method: 'GET' }, 15000, token);
+ const ej = await jsonSafe(ex);
+ if (Array.isArray(ej)) {
+ files = ej.map(link => {
+ let name = String(link).split('/').pop() || '';
+ try { name = decodeURIComponent(name); } catch (e) { /* keep raw name */ }
+ return { name, link };
+ });
+ }
+ } catch (e) {
+ log('Explore error (non-fatal): ' + e.message);
+ }
+ 
+ const request = transfer.request || {};
+ if (!files.length && request.server && request.fileName) {
+ files = [{
+ name: request.fileName,
+ link: `https://${request.server}.offcloud.com/cloud/download/${transfer.id}/${encodeURIComponent(request.fileName)}`
+ }];
+ }
+ return files;
+}
+
+async function unrestrict(token, transfer, file) {
+ return { url: file.link };
+}
+
+const offcloud = {
+ key: 'offcloud',
+ name: 'Offcloud',
+ shortName: 'OC',
+ shortParam: 'oc',
+ apiBaseUrl: 'https://offcloud.com/api',
+ authHeader: 'Bearer',
+ authParam: 'key', // Offcloud API keys are passed as ?key=
+ enabled: true,
+ validateKey,
+ checkInstantAvailability,
+ addMagnet,
+ getStatus,
+ listFiles,
+ unrestrict
+};
+
+module.exports = offcloud;
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Premiumize adapter
+ * Flow: transfer/directdl returns the cached file list with direct links.
+ * Uncached magnets are queued with transfer/create so a retry can succeed later.
+ */
+
+const { debridApiCall, jsonSafe, sanitizeResponseForLogging, notReadyResponse, permanentFailure } = require('./client');
+
+async function validateKey(token) {
+ const response = await debridApiCall(premiumize, 'account/info', { method: 'GET' }, 5000, token);
+ return response.status === 200;
+}
+
+async function checkInstantAvailability(token, infoHashes) {
+ const cached = {};
+ if (!infoHashes.length) return cached;
+ 
+ const response = await debridApiCall(premiumize, 'cache/check', { method: 'GET', query: { 'items[]': infoHashes } }, 5000, token);
+ const data = await jsonSafe(response);
+ if (!data || data.status !== 'success' || !Array.isArray(data.response)) return null;
+ 
+ // response[] is aligned with the items[] we sent
+ infoHashes.forEach((hash, i) => {
+ if (data.response[i] === true) cached[hash.toLowerCase()] = true;
+ });
+ return cached;
+}
+
+async function addMagnet(token, magnet, { log }) {
+ const dl = await debridApiCall(premiumize, 'transfer/directdl', { method: 'POST', form: { src: magnet } }, 15000, token);
+ const dj = await jsonSafe(dl);
+ 
+ if (dl.status === 401 || dl.status === 403 || (dj && dj.status === 'error' && /api ?key|not logged in|premium|banned/i.test(dj.message || ''))) {
+ log('[FAIL] Permanent Premiumize error: ' + ((dj && dj.message) || dl.status) + ' - stopping immediately');
+ return { failure: permanentFailure('PM_AUTH_FAILED', (dj && dj.message) || 'Premiumize service error') };
+ }
+ 
+ const content = (dj && dj.status === 'success' && Array.isArray(dj.content)) ? dj.content : [];
+ if (content.length) return { id: null, content };
+ 
+ // Not cached: start a transfer so Premiumize caches it for the next attempt
+ log('Premiumize has no cached content: ' + JSON.stringify(sanitizeResponseForLogging(dj)));
+ try {
+ const tr = await debridApiCall(premiumize, 'transfer/create', { method: 'POST', form: { src: magnet } }, 15000, token);
+ const tj = await jsonSafe(tr);
+ log('Transfer create response: ' + JSON.stringify(sanitizeResponseForLogging(tj)), 'verbose');
+ } catch (e) {
+ log('Transfer create error (non-fatal): ' + e.message);
+ }
+ return { failure: notReadyResponse() };
+}
+
+async function getStatus() {
+ // directdl only answers with content that is already cached
+ return { state: 'ready' };
+}
+
+async function listFiles(token, transfer) {
+ return transfer.content
+ .map(f => ({ name: f.path || '', size: Number(f.size) || 0, link: f.link || f.stream_link }))
+ .filter(f => f.link);
+}
+
+async function unrestrict(token, transfer, file) {
+ return { url: file.link };
+}
+
+const premiumize = {
+ key: 'premiumize',
+ name: 'Premiumize',
+ shortName: 'PM',
+ shortParam: 'pm',
+ apiBaseUrl: 'https://www.premiumize.me/api',
+ authHeader: 'Bearer',
+ authParam: 'apikey', // API keys go in the query string; Bearer is only for OAuth tokens
+ enabled: true,
+ validateKey,
+ checkInstantAvailability,
+ addMagnet,
+ getStatus,
+ listFiles,
+ unrestrict
+};
+
+module.exports = premiumize;
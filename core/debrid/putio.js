@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Put.io adapter
+ * Flow: transfers/add -> transfers/{id} -> files/list -> files/{id}/url
+ * Put.io has no instant-availability API: everything is downloaded into the user's account.
+ */
+
+const { debridApiCall, jsonSafe, sanitizeResponseForLogging, permanentFailure } = require('./client');
+
+// Put.io transfer statuses grouped onto the AllDebrid-style polling states
+const PUTIO_QUEUED_STATES = ['IN_QUEUE', 'WAITING', 'PREPARING_DOWNLOAD'];
+const PUTIO_READY_STATES = ['COMPLETED', 'SEEDING'];
+
+async function validateKey(token) {
+ const response = await debridApiCall(putio, 'account/info', { method: 'GET' }, 5000, token);
+ return response.status === 200;
+}
+
+// No instant-availability API: cache state is unknown (null), not "nothing cached"
+async function checkInstantAvailability() {
+ return null;
+}
+
+async function addMagnet(token, magnet, { log }) {
+ const add = await debridApiCall(putio, 'transfers/add', { method: 'POST', form: { url: magnet } }, 15000, token);
+ const aj = await jsonSafe(add);
+ const transferId = aj && aj.transfer && aj.transfer.id;
+ 
+ if (!transferId) {
+ log('Add transfer failed: status=' + add.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(aj)));
+ if (add.status === 401 || add.status === 403) {
+ log('[FAIL] Permanent Put.io error: ' + add.status + ' - stopping immediately');
+ return { failure: permanentFailure((aj && aj.error_type) || 'PUTIO_AUTH_FAILED', (aj && aj.error_message) || 'Put.io service error') };
+ }
+ return { failure: { status: 502, body: { ok: false, error: 'PUTIO_ADD_FAILED', message: (aj && aj.error_message) || 'Put.io could not add the magnet' } } };
+ }
+ 
+ log('Put.io transfer id: ' + transferId, 'verbose');
+ return { id: transferId };
+}
+
+async function getStatus(token, transfer, { log }) {
+ const st = await debridApiCall(putio, `transfers/${encodeURIComponent(transfer.id)}`, { method: 'GET' }, 15000, token);
+ const sj = await jsonSafe(st);
+ const t = sj && sj.transfer;
+ 
+ if (!t) {
+ log('Transfer lookup failed: status=' + st.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(sj)));
+ return { state: 'pending' };
+ }
+ 
+ log('Put.io transfer status=' + t.status + ' progress=' + (t.percent_done || 0) + '%', 'verbose');
+ if (PUTIO_READY_STATES.includes(t.status) && t.file_id) {
+ transfer.fileId = t.file_id;
+ return { state: 'ready' };
+ }
+ if (t.status === 'ERROR') return { state: 'failed', detail: t.error_message || t.status };
+ if (PUTIO_QUEUED_STATES.includes(t.status)) return { state: 'queued' };
+ return { state: 'downloading', progress: Number(t.percent_done) || 0 };
+}
+
+async function listFolder(token, parentId, depth) {
+ const lr = await debridApiCall(putio, 'files/list', { method: 'GET', query: { parent_id: parentId } }, 15000, token);
+ const lj = await jsonSafe(lr);
+ let out = [];
+ for (const entry of (lj && Array.isArray(lj.files)) ? lj.files : []) {
+ if (entry.file_type === 'FOLDER') {
+ // Season packs may nest episodes one or two folders deep
+ if (depth < 2) out = out.concat(await listFolder(token, entry.id, depth + 1));
+ } else {
+ out.push({ id: entry.id, name: entry.name || '', size: Number(entry.size) || 0 });
+ }
+ }
+ return out;
+}
+
+async function listFiles(token, transfer) {
+ // The transfer points at either a single file or a folder
+ const fr = await debridApiCall(putio, `files/${encodeURIComponent(transfer.fileId)}`, { method: 'GET' }, 15000, token);
+ const fj = await jsonSafe(fr);
+ const root = fj && fj.file;
+ if (root && root.file_type !== 'FOLDER') {
+ return [{ id: root.id, name: root.name || '', size: Number(root.size) || 0 }];
+ }
+ return listFolder(token, transfer.fileId, 0);
+}
+
+async function unrestrict(token, transfer, file, { log }) {
+ const ur = await debridApiCall(putio, `files/${encodeURIComponent(file.id)}/url`, { method: 'GET' }, 15000, token);
+ const uj = await jsonSafe(ur);
+ 
+ if (!uj || !uj.url) {
+ log('File URL failed: status=' + ur.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(uj)));
+ return { failure: { status: 502, body: { ok: false, error: 'PUTIO_URL_FAILED', message: 'Put.io could not create a download link' } } };
+ }
+ 
+ return { url: uj.url };
+}
+
+const putio = {
+ key: 'putio',
+ name: 'Put.io',
+ shortName: 'PI',
+ shortParam: 'pu',
+ apiBaseUrl: 'https://api.put.io/v2',
+ authHeader: 'Bearer',
+ enabled: true,
+ validateKey,
+ checkInstantAvailability,
+ addMagnet,
+ getStatus,
+ listFiles,
+ unrestrict
+};
+
+module.exports = putio;
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Real-Debrid adapter
+ * Flow: torrents/addMagnet -> torrents/selectFiles (on waiting_files_selection) -> torrents/info -> unrestrict/link
+ */
+
+const { debridApiCall, jsonSafe, sanitizeResponseForLogging, permanentFailure } = require('./client');
+
+// Real-Debrid errors that waiting will never fix
+const RD_PERMANENT_ERRORS = [
+ 'bad_token',
+ 'permission_denied',
+ 'account_locked',
+ 'not_premium',
+ 'infringing_file',
+ 'too_many_active_downloads',
+ 'magnet_invalid'
+];
+
+const rdFailure = (rj, fallback) => permanentFailure((rj && rj.error) || fallback, (rj && rj.error_details) || 'RealDebrid service error');
+
+async function validateKey(token) {
+ const response = await debridApiCall(realdebrid, 'user', { method: 'GET' }, 5000, token);
+ return response.status === 200;
+}
+
+// Real-Debrid has disabled torrents/instantAvailability: cache state is unknown (null), not "nothing cached"
+async function checkInstantAvailability() {
+ return null;
+}
+
+async function addMagnet(token, magnet, { log }) {
+ const add = await debridApiCall(realdebrid, 'torrents/addMagnet', { method: 'POST', form: { magnet } }, 15000, token);
+ const aj = await jsonSafe(add);
+ 
+ if (!add.ok || !aj || !aj.id) {
+ log('Add magnet failed: status=' + add.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(aj)));
+ if (add.status === 401 || add.status === 403 || (aj && RD_PERMANENT_ERRORS.includes(aj.error))) {
+ log('[FAIL] Permanent RealDebrid error: ' + ((aj && aj.error) || add.status) + ' - stopping immediately');
+ return { failure: rdFailure(aj, add.status === 401 ? 'bad_token' : 'permission_denied') };
+ }
+ return { failure: { status: 502, body: { ok: false, error: 'RD_ADD_FAILED', message: 'RealDebrid could not add the magnet' } } };
+ }
+ 
+ log('RealDebrid torrent id: ' + aj.id, 'verbose');
+ return { id: aj.id, filesSelected: false };
+}
+
+async function getStatus(token, transfer, { log, isFirstRequest, selectFile }) {
+ const st = await debridApiCall(realdebrid, `torrents/info/${encodeURIComponent(transfer.id)}`, { method: 'GET' }, 15000, token);
+ const sj = await jsonSafe(st);
+ 
+ if (!st.ok || !sj) {
+ log('Torrent info failed: status=' + st.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(sj)));
+ if (sj && RD_PERMANENT_ERRORS.includes(sj.error)) return { failure: rdFailure(sj, 'permission_denied') };
+ return { state: 'pending' };
+ }
+ 
+ log('RealDebrid torrent status=' + sj.status + ' progress=' + (sj.progress || 0) + '%', 'verbose');
+ 
+ // Select only the file we want to play once RealDebrid knows the file list
+ if (sj.status === 'waiting_files_selection' && !transfer.filesSelected) {
+ const candidates = (sj.files || []).map(f => ({ id: f.id, name: f.path || '', size: f.bytes || 0 }));
+ const chosen = selectFile(candidates);
+ const selection = chosen ? String(chosen.id) : 'all';
+ 
+ if (isFirstRequest) log('Selecting RealDebrid file(s): ' + (chosen ? chosen.name : 'all'));
+ const sel = await debridApiCall(realdebrid, `torrents/selectFiles/${encodeURIComponent(transfer.id)}`, { method: 'POST', form: { files: selection } }, 15000, token);
+ if (!sel.ok) {
+ const selj = await jsonSafe(sel);
+ log('Select files failed: status=' + sel.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(selj)));
+ if (selj && RD_PERMANENT_ERRORS.includes(selj.error)) return { failure: rdFailure(selj, 'permission_denied') };
+ } else {
+ transfer.filesSelected = true;
+ }
+ return { state: 'pending' };
+ }
+ 
+ // Magnet conversion before file selection can legitimately take a while
+ if (sj.status === 'magnet_conversion' || sj.status === 'queued') return { state: transfer.filesSelected ? 'queued' : 'pending' };
+ if (['downloading', 'compressing', 'uploading'].includes(sj.status)) return { state: 'downloading', progress: sj.progress || 0 };
+ if (sj.status === 'downloaded' && Array.isArray(sj.links) && sj.links.length > 0) {
+ transfer.info = sj;
+ return { state: 'ready' };
+ }
+ if (['error', 'magnet_error', 'virus', 'dead'].includes(sj.status)) return { state: 'failed', detail: sj.status };
+ return { state: 'pending' };
+}
+
+async function listFiles(token, transfer) {
+ // Links are returned in the order of the selected files
+ const info = transfer.info;
+ return (info.files || [])
+ .filter(f => f.selected === 1)
+ .map((f, i) => ({ id: f.id, name: f.path || '', size: f.bytes || 0, link: info.links[i] }))
+ .filter(f => f.link);
+}
+
+async function unrestrict(token, transfer, file, { log }) {
+ // Turn the hoster link into a direct download URL
+ const unl = await debridApiCall(realdebrid, 'unrestrict/link', { method: 'POST', form: { link: file.link } }, 15000, token);
+ const uj = await jsonSafe(unl);
+ 
+ if (!unl.ok || !uj || !uj.download) {
+ log('Unrestrict failed: status=' + unl.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(uj)));
+ if (uj && RD_PERMANENT_ERRORS.includes(uj.error)) return { failure: rdFailure(uj, 'permission_denied') };
+ return { failure: { status: 502, body: { ok: false, error: 'RD_UNRESTRICT_FAILED', message: 'RealDebrid could not unrestrict the file link' } } };
+ }
+ 
+ return { url: uj.download };
+}
+
+const realdebrid = {
+ key: 'realdebrid',
+ name: 'RealDebrid',
+ shortName: 'RD',
+ shortParam: 'rd',
+ apiBaseUrl: 'https://api.real-debrid.com/rest/1.0',
+ authHeader: 'Bearer',
+ enabled: true,
+ validateKey,
+ checkInstantAvailability,
+ addMagnet,
+ getStatus,
+ listFiles,
+ unrestrict
+};
+
+module.exports = realdebrid;
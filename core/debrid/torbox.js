@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * TorBox adapter
+ * Flow: torrents/createtorrent -> torrents/mylist -> torrents/requestdl for the chosen file id
+ */
+
+const { debridApiCall, jsonSafe, sanitizeResponseForLogging, permanentFailure } = require('./client');
+
+// TorBox download_state values grouped onto the AllDebrid-style polling states
+const TORBOX_QUEUED_STATES = ['queued', 'metadl', 'checkingresumedata', 'paused', 'pausedup', 'pauseddl'];
+const TORBOX_FAILED_STATES = ['error', 'failed', 'missingfiles'];
+
+// TorBox error codes that waiting will never fix
+const TB_PERMANENT_ERRORS = [
+ 'BAD_TOKEN',
+ 'AUTH_ERROR',
+ 'NO_AUTH',
+ 'PLAN_RESTRICTED_FEATURE',
+ 'ACTIVE_LIMIT',
+ 'DOWNLOAD_TOO_LARGE'
+];
+
+const tbFailure = (tj, fallback) => permanentFailure((tj && tj.error) || fallback, (tj && tj.detail) || 'TorBox service error');
+
+async function validateKey(token) {
+ const response = await debridApiCall(torbox, 'user/me', { method: 'GET' }, 5000, token);
+ return response.status === 200;
+}
+
+async function checkInstantAvailability(token, infoHashes) {
+ const cached = {};
+ if (!infoHashes.length) return cached;
+ 
+ const response = await debridApiCall(torbox, 'torrents/checkcached', { method: 'GET', query: { hash: infoHashes.join(','), format: 'object' } }, 5000, token);
+ const data = await jsonSafe(response);
+ if (!data || !data.success || !data.data || typeof data.data !== 'object') return null;
+ 
+ // Only cached hashes are present in the object
+ for (const hash of Object.keys(data.data)) cached[hash.toLowerCase()] = true;
+ return cached;
+}
+
+async function addMagnet(token, magnet, { log }) {
+ // Returns the existing id when the torrent is already in the account
+ const cr = await debridApiCall(torbox, 'torrents/createtorrent', { method: 'POST', form: { magnet }, multipart: true }, 15000, token);
+ const cj = await jsonSafe(cr);
+ const torrentId = cj && cj.success && cj.data && cj.data.torrent_id;
+ 
+ if (!torrentId) {
+ log('Create torrent failed: status=' + cr.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(cj)));
+ if (cr.status === 401 || cr.status === 403 || (cj && TB_PERMANENT_ERRORS.includes(cj.error))) {
+ log('[FAIL] Permanent TorBox error: ' + ((cj && cj.error) || cr.status) + ' - stopping immediately');
+ return { failure: tbFailure(cj, 'AUTH_ERROR') };
+ }
+ return { failure: { status: 502, body: { ok: false, error: 'TB_CREATE_FAILED', message: 'TorBox could not add the magnet' } } };
+ }
+ 
+ log('TorBox torrent id: ' + torrentId, 'verbose');
+ return { id: torrentId };
+}
+
+async function getStatus(token, transfer, { log }) {
+ const st = await debridApiCall(torbox, 'torrents/mylist', { method: 'GET', query: { id: transfer.id, bypass_cache: 'true' } }, 15000, token);
+ const sj = await jsonSafe(st);
+ const t = sj && sj.success && sj.data && !Array.isArray(sj.data) ? sj.data : null;
+ 
+ if (!t) {
+ log('Torrent list failed: status=' + st.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(sj)));
+ if (sj && TB_PERMANENT_ERRORS.includes(sj.error)) return { failure: tbFailure(sj, 'AUTH_ERROR') };
+ return { state: 'pending' };
+ }
+ 
+ const state = String(t.download_state || '').toLowerCase();
+ const progress = (Number(t.progress) || 0) * 100;
+ log('TorBox torrent state=' + state + ' progress=' + Math.round(progress) + '%', 'verbose');
+ 
+ if (t.download_present || t.download_finished || state === 'cached' || state === 'completed') {
+ if (!Array.isArray(t.files) || t.files.length === 0) return { state: 'pending' };
+ transfer.files = t.files;
+ return { state: 'ready' };
+ }
+ if (TORBOX_FAILED_STATES.includes(state)) return { state: 'failed', detail: state };
+ if (TORBOX_QUEUED_STATES.includes(state)) return { state: 'queued' };
+ // downloading, stalled, uploading, ...
+ return { state: 'downloading', progress };
+}
+
+async function listFiles(token, transfer) {
+ return transfer.files.map(f => ({ id: f.id, name: f.name || f.short_name || '', size: Number(f.size) || 0 }));
+}
+
+async function unrestrict(token, transfer, file, { log }) {
+ // requestdl authenticates with a token query param rather than the Authorization header
+ const rq = await debridApiCall(torbox, 'torrents/requestdl', { method: 'GET', query: { token, torrent_id: transfer.id, file_id: file.id } }, 15000, token);
+ const rj = await jsonSafe(rq);
+ 
+ if (!rj || !rj.success || typeof rj.data !== 'string') {
+ log('Request download failed: status=' + rq.status + ', body=' + JSON.stringify(sanitizeResponseForLogging(rj)));
+ if (rj && TB_PERMANENT_ERRORS.includes(rj.error)) return { failure: tbFailure(rj, 'AUTH_ERROR') };
+ return { failure: { status: 502, body: { ok: false, error: 'TB_REQUESTDL_FAILED', message: 'TorBox could not create a download link' } } };
+ }
+ 
+ return { url: rj.data };
+}
+
+const torbox = {
+ key: 'torbox',
+ name: 'TorBox',
+ shortName: 'TB',
+ shortParam: 'tb',
+ apiBaseUrl: 'https://api.torbox.app/v1/api',
+ authHeader: 'Bearer',
+ enabled: true,
+ validateKey,
+ checkInstantAvailability,
+ addMagnet,
+ getStatus,
+ listFiles,
+ unrestrict
+};
+
+module.exports = torbox;
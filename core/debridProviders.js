@@ -1,76 +1,20 @@
 /**
- * Unified Debrid Provider Configuration
+ * Unified Debrid Provider Registry
  * Following Torrentio's multi-debrid approach
  */
 
+// Each provider is an adapter module in core/debrid/ exposing its metadata plus
+// validateKey, checkInstantAvailability, addMagnet, getStatus, listFiles and unrestrict.
+// Adding a provider = adding one file there and one line here.
 const DEBRID_PROVIDERS = {
- realdebrid: {
- key: 'realdebrid',
- name: 'RealDebrid',
- shortName: 'RD',
- apiBaseUrl: 'https://api.real-debrid.com/rest/1.0',
- authHeader: 'Bearer',
- enabled: true
- },
- alldebrid: {
- key: 'alldebrid', 
- name: 'AllDebrid',
- shortName: 'AD',
- apiBaseUrl: 'https://api.alldebrid.com/v4', // Confirmed v4 works
- authHeader: 'Bearer', // AllDebrid DOES use Authorization Bearer headers
- headers: {
- 'User-Agent': 'AutoStream/3.0' // Required for hosting providers
- },
- enabled: true
- },
- premiumize: {
- key: 'premiumize',
- name: 'Premiumize',
- shortName: 'PM', 
- apiBaseUrl: 'https://premiumize.me/api',
- authHeader: 'Bearer',
- enabled: true
- },
- easydebrid: {
- key: 'easydebrid',
- name: 'EasyDebrid', 
- shortName: 'ED',
- apiBaseUrl: 'https://easydebrid.com/api/v1',
- authHeader: 'Bearer',
- enabled: true
- },
- debridlink: {
- key: 'debridlink',
- name: 'DebridLink',
- shortName: 'DL', 
- apiBaseUrl: 'https://debrid-link.fr/api',
- authHeader: 'Bearer',
- enabled: true
- },
- torbox: {
- key: 'torbox',
- name: 'TorBox',
- shortName: 'TB',
- apiBaseUrl: 'https://api.torbox.app/v1/api',
- authHeader: 'Bearer', 
- enabled: true
- },
- offcloud: {
- key: 'offcloud',
- name: 'Offcloud',
- shortName: 'OC',
- apiBaseUrl: 'https://offcloud.com/api',
- authHeader: 'Bearer',
- enabled: true
- },
- putio: {
- key: 'putio',
- name: 'Put.io',
- shortName: 'PI',
- apiBaseUrl: 'https://api.put.io/v2',
- authHeader: 'Bearer',
- enabled: true
- }
+ realdebrid: require('./debrid/realdebrid'),
+ alldebrid: require('./debrid/alldebrid'),
+ premiumize: require('./debrid/premiumize'),
+ easydebrid: require('./debrid/easydebrid'),
+ debridlink: require('./debrid/debridlink'),
+ torbox: require('./debrid/torbox'),
+ offcloud: require('./debrid/offcloud'),
+ putio: require('./debrid/putio')
 };
 
 /**
@@ -115,7 +59,7 @@ function getProviderDisplayName(key) {
  */
 function detectConfiguredProvider(config) {
  for (const providerKey of getProviderKeys()) {
- if (config[providerKey]) {
+ if (config[providerKey] || config[getProvider(providerKey).shortParam]) {
  return providerKey;
  }
  }
@@ -128,17 +72,26 @@ function detectConfiguredProvider(config) {
 function getConfiguredProviders(config) {
  const configured = [];
  for (const providerKey of getProviderKeys()) {
- if (config[providerKey]) {
+ const provider = getProvider(providerKey);
+ const token = config[providerKey] || config[provider.shortParam];
+ if (token) {
  configured.push({
  key: providerKey,
- provider: getProvider(providerKey),
- token: config[providerKey]
+ provider,
+ token
  });
  }
  }
  return configured;
 }
 
+/**
+ * Find provider by its short config param (ad, rd, pm, ...)
+ */
+function getProviderByShortParam(param) {
+ return Object.values(DEBRID_PROVIDERS).find(provider => provider.shortParam === param) || null;
+}
+
 /**
  * Validate provider API key format
  */
@@ -162,53 +115,63 @@ function isValidApiKey(key, providerKey) {
 }
 
 /**
- * Unified provider validation - validates API key with provider's API
+ * Unified provider validation - validates API key with the provider adapter
  * @param {string} providerKey - The provider key (alldebrid, realdebrid, etc)
  * @param {string} token - The API token
- * @param {Object} validators - Object containing validation functions (validateAllDebridKey, validateDebridKey)
+ * @param {Map} [validationCache] - Optional cache of `${providerKey}:${token}` -> { isValid, timestamp }
  * @returns {Promise<boolean>} - True if valid
  */
-async function validateProviderKey(providerKey, token, validators) {
- const { validateAllDebridKey, validateDebridKey } = validators;
+async function validateProviderKey(providerKey, token, validationCache) {
+ const provider = getProvider(providerKey);
+ if (!provider || !token) return false;
  
- try {
- switch (providerKey) {
- case 'alldebrid':
- return await validateAllDebridKey(token);
- case 'realdebrid':
- return await validateDebridKey('rd', token);
- case 'premiumize':
- return await validateDebridKey('pm', token);
- case 'torbox':
- return await validateDebridKey('tb', token);
- case 'offcloud':
- return await validateDebridKey('oc', token);
- case 'easydebrid':
- return await validateDebridKey('ed', token);
- case 'debridlink':
- return await validateDebridKey('dl', token);
- case 'putio':
- return await validateDebridKey('pu', token);
- default:
- console.log(`[WARN] No validation method for provider: ${providerKey}`);
- return isValidApiKey(token, providerKey); // Fallback to format validation
+ const cacheKey = `${providerKey}:${token}`;
+ const cached = validationCache && validationCache.get(cacheKey);
+ if (cached && (Date.now() - cached.timestamp) < 30 * 60 * 1000) {
+ return cached.isValid;
  }
+ 
+ try {
+ const isValid = await provider.validateKey(token);
+ if (validationCache) validationCache.set(cacheKey, { isValid, timestamp: Date.now() });
+ return isValid;
  } catch (e) {
  console.error(`[FAIL] ${providerKey} validation error:`, e.message);
+ // Cache failure as invalid for 1 minute (shorter cache for failures)
+ if (validationCache) validationCache.set(cacheKey, { isValid: false, timestamp: Date.now() - 29 * 60 * 1000 });
  return false;
  }
 }
 
+/**
+ * Ask a provider which infoHashes it can serve instantly
+ * @returns {Promise<Object|null>} - lowercase infoHash -> true for cached hashes; null when the cache state is unknown
+ *   (provider has no availability API, API error or timeout) - never treat null as "nothing cached"
+ */
+async function checkInstantAvailability(providerKey, token, infoHashes) {
+ const provider = getProvider(providerKey);
+ if (!provider || !token) return null;
+ if (!Array.isArray(infoHashes) || infoHashes.length === 0) return {};
+ 
+ try {
+ const cached = await provider.checkInstantAvailability(token, infoHashes);
+ return cached && typeof cached === 'object' ? cached : null;
+ } catch (e) {
+ console.error(`[FAIL] ${providerKey} instant availability error:`, e.message);
+ return null;
+ }
+}
+
 /**
  * Validate all configured providers in parallel
  * @param {Array} configuredProviders - Array from getConfiguredProviders()
- * @param {Object} validators - Object containing validation functions
+ * @param {Map} [validationCache] - Optional validation cache (see validateProviderKey)
  * @returns {Promise<Array>} - Array of validated working providers
  */
-async function validateProvidersParallel(configuredProviders, validators) {
+async function validateProvidersParallel(configuredProviders, validationCache) {
  const validationPromises = configuredProviders.map(async ({ key, provider, token }) => {
  console.log(`[SEARCH] Validating ${provider.name} API key...`);
- const isValid = await validateProviderKey(key, token, validators);
+ const isValid = await validateProviderKey(key, token, validationCache);
  
  if (isValid) {
  console.log(`[OK] ${provider.name} API key validated successfully`);
@@ -237,8 +200,10 @@ module.exports = {
  getProviderDisplayName,
  detectConfiguredProvider,
  getConfiguredProviders,
+ getProviderByShortParam,
  isValidApiKey,
  validateProviderKey,
+ checkInstantAvailability,
  validateProvidersParallel,
  validateProviderConfig: (provider, key) => isValidProvider(provider) && isValidApiKey(provider, key)
 };
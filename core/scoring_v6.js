@@ -23,6 +23,7 @@
  */
 
 const penaltyReliability = require('../services/penaltyReliability');
+const nuvioProviders = require('../services/nuvioProviders');
 
 /**
  * Detect device type from request headers
@@ -86,6 +87,13 @@ function computeStreamScore(stream, req, opts = {}) {
  penalties.push(`reliability_penalty(-${reliabilityPenalty})`);
  }
 
+ // NUVIO PROVIDER RELIABILITY (per provider - ShowBox failing says nothing about VidZee)
+ const providerScore = getNuvioProviderScore(stream);
+ score += providerScore.score;
+ if (providerScore.score < 0) {
+ penalties.push(`nuvio_provider(${providerScore.score})`);
+ }
+
  // SEEDER VALIDATION (prevent showing bad torrents)
  const seederScore = getSeederScore(stream);
  score += seederScore.score;
@@ -138,6 +146,13 @@ function computeStreamScore(stream, req, opts = {}) {
  bonuses.push(`type_bonus(+${typeScore.score})`);
  }
 
+ // DEBRID CACHE BONUS (instant playback beats a higher quality the user has to wait for)
+ const debridCacheScore = getDebridCacheScore(stream);
+ score += debridCacheScore.score;
+ if (debridCacheScore.score > 0) {
+ bonuses.push(`debrid_cached(+${debridCacheScore.score})`);
+ }
+
  return {
  score,
  reason: 'scored',
@@ -145,10 +160,12 @@ function computeStreamScore(stream, req, opts = {}) {
  bonuses,
  breakdown: {
  reliability: { penalty: reliabilityPenalty },
+ nuvioProvider: providerScore,
  quality: qualityScore,
  cookie: cookieScore,
  connection: connectionScore,
- type: typeScore
+ type: typeScore,
+ debridCache: debridCacheScore
  }
  };
 }
@@ -730,9 +747,18 @@ function getQualityScore(stream, req) {
  };
 }
 
+/**
+ * Nuvio provider reliability (probe success rate of the provider this stream came from)
+ */
+function getNuvioProviderScore(stream) {
+ if (stream.autostreamOrigin !== 'nuvio') return { score: 0, reason: 'not_nuvio' };
+ const providerId = stream._nuvioProvider || nuvioProviders.getNuvioProvider(stream).id;
+ return nuvioProviders.getReliabilityScore(providerId);
+}
+
 /**
  * Cookie-based scoring
- * Enhanced: Penalize Nuvio+ streams without valid cookies
+ * Enhanced: Penalize Nuvio+ streams without valid cookies (only providers that need one, e.g. ShowBox/FebBox)
  */
 function getCookieScore(stream, opts) {
  const hasCookie = stream._usedCookie || 
@@ -741,7 +767,7 @@ function getCookieScore(stream, opts) {
  
  if (!hasCookie) {
  // Heavy penalty for Nuvio streams without cookies (they likely won't work)
- if (isNuvio) {
+ if (isNuvio && nuvioProviders.needsCookie(stream)) {
  return { score: -400, reason: 'nuvio_no_cookie' };
  }
  return { score: 0, reason: 'no_cookie' };
@@ -855,6 +881,19 @@ function getStreamTypeScore(stream) {
  return { score: 0, reason: 'unknown_type' };
 }
 
+/**
+ * Debrid cache scoring
+ * _debridCached is set by the stream route after asking the user's debrid provider
+ * which infoHashes it can serve instantly. Large enough to outrank a 4K/HDR pick
+ * that would leave the user polling /play while the torrent downloads.
+ */
+function getDebridCacheScore(stream) {
+ if (stream._debridCached) {
+ return { score: 100, reason: 'debrid_cached' };
+ }
+ return { score: 0, reason: 'not_checked_or_uncached' };
+}
+
 /**
  * Filter and score streams with penalty-based system
  * Enhanced with content validation and verbose logging
@@ -962,6 +1001,9 @@ function getSeederScore(stream) {
  return { score: 0, reason: 'not_torrent' };
  }
  
+ // Torznab and merged candidates carry a parsed seeder count (see services/streamDedup.js)
+ let seeders = typeof stream._seeders === 'number' ? stream._seeders : null;
+ if (seeders === null) {
  // Try to extract seeder count from URL first, then from title
  let seederText = '';
  if (url) {
@@ -984,7 +1026,8 @@ function getSeederScore(stream) {
  return { score: 0, reason: 'no_seeder_info' };
  }
 
- const seeders = parseInt(match[1], 10);
+ seeders = parseInt(match[1], 10);
+ }
  
  // GRADUAL SEEDER SCORING CURVE
  // Philosophy: seeders matter for reliability but shouldn't dominate quality
@@ -1110,6 +1153,8 @@ module.exports = {
  // Individual scoring functions for testing
  getQualityScore,
  getCookieScore,
+ getNuvioProviderScore,
  getConnectionScore,
- getStreamTypeScore
+ getStreamTypeScore,
+ getDebridCacheScore
 };
@@ -12,9 +12,10 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // Import unified debrid provider system
-const { DEBRID_PROVIDERS, getEnabledProviders, getProvider, getProviderKeys, isValidProvider, getProviderDisplayName, detectConfiguredProvider, getConfiguredProviders, isValidApiKey, validateProvidersParallel } = require('./core/debridProviders');
+const { DEBRID_PROVIDERS, getEnabledProviders, getProvider, getProviderKeys, isValidProvider, getProviderDisplayName, detectConfiguredProvider, getConfiguredProviders, isValidApiKey, validateProvidersParallel, checkInstantAvailability } = require('./core/debridProviders');
 
 // ============ DEFENSIVE CODE: CRASH PREVENTION ============
 
@@ -185,9 +186,21 @@ class MemoryMonitor {
 
 // Initialize protective systems
 const rateLimiter = new RateLimiter(100, 60000); // 100 requests per minute per IP
+const profileRateLimiter = new RateLimiter(10, 60000); // 10 profile saves / config token encryptions per minute per IP
 const concurrencyLimiter = new ConcurrencyLimiter(15); // Max 15 concurrent stream requests
 const memoryMonitor = new MemoryMonitor(512); // Alert at 512MB
 
+// Client IP for rate limiting: X-Forwarded-For entries before the ones our own proxies appended are client-supplied
+// (spoofable), so only the entry added by the outermost trusted proxy counts. TRUST_PROXY_HOPS=1 fits Render;
+// set 0 when the server is exposed directly
+const TRUST_PROXY_HOPS = Math.max(0, parseInt(process.env.TRUST_PROXY_HOPS || '1', 10) || 0);
+function getClientIp(req) {
+ const remote = (req.socket && req.socket.remoteAddress) || 'unknown';
+ if (TRUST_PROXY_HOPS === 0) return remote;
+ const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+ return forwarded.length > 0 ? forwarded[Math.max(0, forwarded.length - TRUST_PROXY_HOPS)] : remote;
+}
+
 // ============ INPUT VALIDATION ============
 
 // 8. Safe Input Validation
@@ -216,36 +229,43 @@ function validateContentType(type) {
 
 // Enhanced systems
 const scoring = require('./core/scoring_v6');
+const { TIMEOUTS } = require('./core/constants');
 const penaltyReliability = require('./services/penaltyReliability');
+const configToken = require('./services/configToken');
+const profileStore = require('./services/profileStore');
+const featureFlags = require('./services/featureFlags');
 
 const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 7010;
 
-// Cloudflare Worker proxy URL - set in Render environment to bypass IP blocks
-const CF_PROXY_URL = process.env.CF_PROXY_URL || '';
+// Cloudflare Worker proxies (CF_PROXY_URLS / CF_PROXY_URL) - set in Render environment to bypass IP blocks
+const proxyPool = require('./services/proxyPool');
 
 // Security: Force secure mode on Render
 const FORCE_SECURE_MODE = process.env.FORCE_SECURE_MODE === 'true' || process.env.NODE_ENV === 'production';
 const BLOCK_ENV_CREDENTIALS = process.env.BLOCK_ENV_CREDENTIALS !== 'false'; // Default to blocking
-const EMERGENCY_DISABLE_DEBRID = process.env.EMERGENCY_DISABLE_DEBRID === 'true';
 
-if (CF_PROXY_URL) {
- console.log('[PROXY] Using Cloudflare Worker proxy:', CF_PROXY_URL);
+if (proxyPool.isEnabled()) {
+ const { proxies, directFallback } = proxyPool.getState();
+ console.log(`[PROXY] Using Cloudflare Worker proxies: ${proxies.map(p => `${p.id} (weight ${p.weight})`).join(', ')}${directFallback ? ', then direct' : ''}`);
 }
 
 if (FORCE_SECURE_MODE) {
  console.log('[LOCKED] SECURE MODE: Environment credential fallbacks disabled');
 }
 
-if (EMERGENCY_DISABLE_DEBRID) {
+// Runtime kill switches (EMERGENCY_DISABLE_DEBRID now only seeds the default of the `debrid` flag)
+if (!featureFlags.isEnabled('debrid')) {
  console.log('[ALERT] EMERGENCY MODE: All debrid features disabled');
 }
 
-// ----- remember manifest params -----
-let MANIFEST_DEFAULTS = Object.create(null);
+// Admin API bearer token (falls back to the older BLACKLIST_KEY); admin API is disabled when neither is set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || process.env.BLACKLIST_KEY || '';
+
+// ----- manifest params carried into the stream resource URL -----
 const REMEMBER_KEYS = new Set([
  'cookie','nuvio_cookie','dcookie',
- 'include_nuvio','nuvio','dhosts','nuvio_base',
- 'label_origin','lang_prio','max_size','additionalstream','secondBest','fallback','blacklist',
+ 'include_nuvio','nuvio','dhosts','nuvio_base','nuvio_exclude',
+ 'label_origin','lang_prio','max_size','additionalstream','secondBest','fallback','blacklist','cached_only','mediafusion','addons','torznab','torznab_key',
  // Debrid API keys - MUST be included so Stremio can pass them to stream requests
  'alldebrid', 'ad', 'realdebrid', 'rd', 'premiumize', 'pm', 'torbox', 'tb', 'offcloud', 'oc',
  'easydebrid', 'ed', 'debridlink', 'dl', 'putio', 'pu', 'apikey', 'ad_apikey'
@@ -255,6 +275,10 @@ const REMEMBER_KEYS = new Set([
 const adKeyValidationCache = new Map(); // key -> { isValid: boolean, timestamp: number }
 const AD_KEY_CACHE_MAX_SIZE = 1000; // Prevent unbounded memory growth
 
+// Instant debrid availability per stream request: top torrents by score, checked in parallel batches
+const INSTANT_AVAILABILITY_MAX_HASHES = 40; // Per provider call
+const INSTANT_AVAILABILITY_MAX_BATCHES = 5;
+
 // Periodic cache cleanup to prevent memory leaks
 setInterval(() => {
  const now = Date.now();
@@ -299,7 +323,7 @@ setInterval(() => {
 
 // ============ CACHE MANAGEMENT ============
 
-// Function to clear episode and metadata caches (preserves penalty data)
+// Function to clear episode and metadata caches (preserves penalty data); returns entries cleared
 function clearEpisodeCaches() {
  let totalCleared = 0;
  
@@ -341,6 +365,8 @@ function clearEpisodeCaches() {
  } catch (error) {
  console.error('Error during cache clearing:', error.message);
  }
+ 
+ return totalCleared;
 }
 
 // utils
@@ -360,6 +386,30 @@ function writeJson(res, obj, code = 200) {
  } catch (e) { console.error('[writeJson] Failed to write headers:', e.message); }
  try { res.end(JSON.stringify(obj)); } catch (e) { console.error('[writeJson] Failed to serialize/send JSON:', e.message); }
 }
+// Read a small JSON request body ({} when empty); rejects on bad JSON or oversized bodies
+function readJsonBody(req, maxBytes = 8192) {
+ return new Promise((resolve, reject) => {
+ let body = '';
+ req.on('data', chunk => {
+ body += chunk;
+ if (body.length > maxBytes) {
+ reject(new Error('Request body too large'));
+ req.destroy();
+ }
+ });
+ req.on('end', () => {
+ try { resolve(body.trim() ? JSON.parse(body) : {}); } catch (e) { reject(e); }
+ });
+ req.on('error', reject);
+ });
+}
+// Constant-time bearer token check for /admin/* routes
+function isAdminRequest(req) {
+ const given = String(req.headers['authorization'] || '').replace(/^bearer\s+/i, '').trim();
+ if (!ADMIN_TOKEN || !given) return false;
+ const digest = (value) => crypto.createHash('sha256').update(value).digest();
+ return crypto.timingSafeEqual(digest(given), digest(ADMIN_TOKEN));
+}
 function fileExists(p) { try { fs.accessSync(p, fs.constants.F_OK); return true; } catch { return false; } }
 function sanitizeCookieVal(val) {
  const s = String(val||''); if (!s || s.length > 4096 || /[\r\n]/.test(s)) return ''; return s;
@@ -382,22 +432,12 @@ function serveFile(filePath, res) {
 }
 
 // deps (with fallbacks)
-const sourcesMod = (() => {
- try { 
- const mod = require('./services/sources'); 
- return mod;
- }
- catch (e1) { 
- try { 
- const mod = require('./sources'); 
- return mod;
- }
- catch (e2) { 
- return { fetchTorrentioStreams: async()=>[], fetchTPBStreams: async()=>[], fetchNuvioStreams: async()=>[], fetchCometStreams: async()=>[] }; 
- } 
- }
-})();
-const { fetchTorrentioStreams, fetchTPBStreams, fetchNuvioStreams, fetchCometStreams } = sourcesMod;
+const sourceRegistry = require('./services/sourceRegistry');
+const { sourceHealth } = require('./services/sourceHealth');
+const { parseAddonList, parseTorznabEndpoint } = require('./services/sources');
+const nuvioProviders = require('./services/nuvioProviders');
+const { dedupeStreams } = require('./services/streamDedup');
+const torrentIndex = require('./services/torrentIndex');
 
 const scoringMod = (() => {
  try { return require('./core/scoring_v6'); }
@@ -412,7 +452,7 @@ const clickDebrid = (() => {
  catch (e2) { return { buildPlayUrl: ()=>null, handlePlay: async (req,res)=>{ res.writeHead(500,{'Content-Type':'application/json'}); res.end(JSON.stringify({ok:false,err:'debrid missing'})); } }; } 
  }
 })();
-const { buildPlayUrl, handlePlay } = clickDebrid;
+const { buildPlayUrl, handlePlay, getResolveCacheState = () => ({ size: 0, entries: [] }), clearResolveCache = () => 0 } = clickDebrid;
 
 // Import enhanced formatting and series caching
 const { fetchMeta } = (() => {
@@ -474,9 +514,13 @@ const seriesCache = (() => {
 
 // labels / ordering helpers
 function isNuvio(s){ return !!(s && (s.autostreamOrigin === 'nuvio' || /\bNuvio\b/i.test(String(s?.name||'')))); }
-function isTorrent(s){ const o = s && s.autostreamOrigin; const n = String(s?.name||''); return !!(o==='torrentio'||o==='tpb'||/\b(Torrentio|TPB\+?)\b/i.test(n)); }
+function isTorrent(s){ const o = s && s.autostreamOrigin; const n = String(s?.name||''); return !!(o==='torrentio'||o==='tpb'||o==='torznab'||o==='index'||/\b(Torrentio|TPB\+?)\b/i.test(n)); }
+// Torrents that go through /play when debrid is configured (custom addon streams only when they carry no direct URL)
+function isTorrentSource(s){ const o = s && s.autostreamOrigin; return !!(o==='torrentio'||o==='tpb'||o==='torznab'||o==='index'||(o==='addon' && s.infoHash && !/^https?:/i.test(String(s.url||'')))); }
 function hasNuvioCookie(s){ return !!(s?.behaviorHints?.proxyHeaders?.Cookie) || !!s?._usedCookie; }
-function isDebridStream(s){ return !!(s && (s._debrid || s._isDebrid || s.autostreamOrigin === 'comet' || /\b(?:AllDebrid|Real-?Debrid|Premiumize|TorBox|Offcloud|Debrid)\b/i.test(String(s?.name||'')))); }
+function isDebridStream(s){ return !!(s && (s._debrid || s._isDebrid || s.autostreamOrigin === 'comet' || s.autostreamOrigin === 'mediafusion' || /\b(?:AllDebrid|Real-?Debrid|Premiumize|TorBox|Offcloud|Debrid)\b/i.test(String(s?.name||'')))); }
+// Good enough to answer without waiting for slower sources: playable right away (debrid-resolved or direct) and 1080p+
+function isGoodCandidate(s){ return !!s && (isDebridStream(s) || /^https?:/i.test(String(s.url||''))) && /\b(?:2160p|4k|uhd|1080p)\b/i.test(`${s.name||''} ${s.title||''} ${s.behaviorHints?.filename||''}`); }
 function badgeName(s){
  let name = String(s?.name || '');
  name = name.replace(/\s*\[(?:Nuvio|Torrentio|Debrid)(?:[^\]]*)\]\s*/gi, ' ').replace(/\s{2,}/g,' ').trim();
@@ -519,6 +563,22 @@ function attachNuvioCookie(list, cookie) {
  return s;
  });
 }
+/**
+ * Placeholder stream explaining why there is nothing to play.
+ * Returning an empty array makes Stremio load forever, so we always answer with this instead.
+ */
+function buildNoStreamsMessage(title) {
+ return {
+ name: "[BLOCKED] No Streams Available",
+ title,
+ url: "data:text/plain;charset=utf-8,No%20streams%20available%20for%20this%20content",
+ behaviorHints: {
+ // Message streams don't need notWebReady since they use data: URLs, not magnet links
+ filename: "no_streams_available.txt"
+ }
+ };
+}
+
 function __finalize(list, { nuvioCookie, labelOrigin }, req, actualDeviceType = null) {
  let out = Array.isArray(list) ? list.slice() : [];
  
@@ -750,117 +810,9 @@ function beautifyStreamNames(streams) {
  });
 }
 
-// AllDebrid API key validation function
-async function validateAllDebridKey(apiKey) {
- if (!apiKey) return false;
- 
- // Check cache first (valid for 30 minutes - API keys rarely change mid-session)
- const cached = adKeyValidationCache.get(apiKey);
- if (cached && (Date.now() - cached.timestamp) < 30 * 60 * 1000) {
- return cached.isValid;
- }
- 
- try {
- // Test the API key with a simple user info request
- const { fetchWithTimeout } = require('./utils/http');
- const testUrl = `https://api.alldebrid.com/v4/user?apikey=${encodeURIComponent(apiKey)}`;
- const response = await fetchWithTimeout(testUrl, { method: 'GET' }, 5000);
- const data = await response.json();
- 
- const isValid = data && data.status === 'success' && data.data && data.data.user;
- 
- // Cache the result
- adKeyValidationCache.set(apiKey, { isValid, timestamp: Date.now() });
- 
- return isValid;
- } catch (error) {
- // Cache failure as invalid for 1 minute (shorter cache for failures)
- adKeyValidationCache.set(apiKey, { isValid: false, timestamp: Date.now() - 4 * 60 * 1000 });
- return false;
- }
-}
-
-// Generic debrid key validation function
-async function validateDebridKey(provider, apiKey) {
- if (!apiKey) return false;
- 
- const cacheKey = `${provider}:${apiKey}`;
- const cached = adKeyValidationCache.get(cacheKey);
- if (cached && (Date.now() - cached.timestamp) < 30 * 60 * 1000) {
- return cached.isValid;
- }
- 
- try {
- const { fetchWithTimeout } = require('./utils/http');
- let testUrl, expectedResponse;
- 
- switch (provider.toLowerCase()) {
- case 'rd':
- case 'real-debrid':
- testUrl = `https://api.real-debrid.com/rest/1.0/user`;
- break;
- case 'pm':
- case 'premiumize':
- testUrl = `https://www.premiumize.me/api/account/info?apikey=${encodeURIComponent(apiKey)}`;
- break;
- case 'tb':
- case 'torbox':
- testUrl = `https://api.torbox.app/v1/api/user/me`;
- break;
- case 'oc':
- case 'offcloud':
- testUrl = `https://offcloud.com/api/account/info`;
- break;
- case 'ed':
- case 'easy-debrid':
- case 'easydebrid':
- testUrl = `https://api.easy-debrid.com/v1/user/details`;
- break;
- case 'dl':
- case 'debrid-link':
- case 'debridlink':
- testUrl = `https://debrid-link.fr/api/v2/account/infos`;
- break;
- default:
- return false;
- }
- 
- const headers = { 'User-Agent': 'AutoStream/3.0' };
- 
- // Add auth headers based on provider
- if (provider.toLowerCase() === 'rd') {
- headers['Authorization'] = `Bearer ${apiKey}`;
- } else if (provider.toLowerCase() === 'tb') {
- headers['Authorization'] = `Bearer ${apiKey}`;
- } else if (provider.toLowerCase() === 'oc') {
- headers['Authorization'] = `Bearer ${apiKey}`;
- } else if (provider.toLowerCase() === 'ed' || provider.toLowerCase() === 'easy-debrid' || provider.toLowerCase() === 'easydebrid') {
- headers['Authorization'] = `Bearer ${apiKey}`;
- } else if (provider.toLowerCase() === 'dl' || provider.toLowerCase() === 'debrid-link' || provider.toLowerCase() === 'debridlink') {
- headers['Authorization'] = `Bearer ${apiKey}`;
- }
- 
- const response = await fetchWithTimeout(testUrl, { 
- method: 'GET',
- headers 
- }, 5000);
- 
- const isValid = response.status === 200;
- 
- // Cache the result
- adKeyValidationCache.set(cacheKey, { isValid, timestamp: Date.now() });
- 
- return isValid;
- } catch (error) {
- // Cache failure as invalid for 1 minute
- adKeyValidationCache.set(cacheKey, { isValid: false, timestamp: Date.now() - 4 * 60 * 1000 });
- return false;
- }
-}
-
 // SECURITY: Check if a parameter contains sensitive data (API keys)
 function isSensitiveParam(key) {
- return ['ad', 'apikey', 'alldebrid', 'ad_apikey', 'rd', 'real-debrid', 'realdebrid', 'pm', 'premiumize', 'tb', 'torbox', 'oc', 'offcloud'].includes(key);
+ return ['ad', 'apikey', 'alldebrid', 'ad_apikey', 'rd', 'real-debrid', 'realdebrid', 'pm', 'premiumize', 'tb', 'torbox', 'oc', 'offcloud', 'torznab_key'].includes(key);
 }
 
 // SECURITY: Sanitize URLs to hide API keys in query parameters
@@ -880,12 +832,23 @@ function sanitizeUrl(url) {
  }
 }
 
-function getQ(q, k){ 
- // SECURITY: Never return API keys from global defaults
- if (isSensitiveParam(k)) {
- return (q && typeof q.get==='function' && q.get(k)) || '';
+/**
+ * Per-request configuration: path/profile config merged with the query string (query wins).
+ * Built fresh for every request and passed down explicitly - there is no process-wide fallback,
+ * so one user's settings can never leak into another user's stream request.
+ */
+function buildRequestConfig(q, pathParams = {}) {
+ const config = Object.create(null);
+ for (const [k, v] of Object.entries(pathParams || {})) config[k] = String(v);
+ if (q && typeof q.entries === 'function') {
+ for (const [k, v] of q.entries()) config[k] = v;
  }
- return (q && typeof q.get==='function' && q.get(k)) || MANIFEST_DEFAULTS[k] || ''; 
+ return config;
+}
+
+function getQ(config, k){ 
+ const v = config && config[k];
+ return v ? String(v) : ''; 
 }
 function resOf(s) {
  // Include ALL sources of resolution info: title, name, tag, description, filename, and preserved metadata
@@ -921,6 +884,13 @@ function parsePathConfiguration(configurationPath) {
  // FIXED: URL-decode the configuration path first to handle encoded parameters
  const decodedPath = decodeURIComponent(configurationPath);
  
+ // Encrypted config token (what our manifests and the configure page emit)
+ if (configToken.isConfigToken(decodedPath)) {
+ const config = configToken.decodeConfig(decodedPath);
+ if (!config) console.warn('[WARN] Config token in path failed to decrypt - ignoring it');
+ return config || {};
+ }
+ 
  // FIXED: Support both pipe and ampersand separators for backward compatibility
  // Torrentio uses pipe separators, which Stremio desktop app expects
  const separator = decodedPath.includes('|') ? '|' : '&';
@@ -939,58 +909,28 @@ function parsePathConfiguration(configurationPath) {
  return configValues;
 }
 
-async function createManifestFromConfig(configParams, baseUrl) {
- const remembered = {};
- for (const [k, v] of Object.entries(configParams)) {
- if (REMEMBER_KEYS.has(k)) {
- remembered[k] = String(v);
- }
- }
- 
- // Handle debrid provider mapping (same as existing logic)
- remembered.ad = remembered.ad || remembered.apikey || remembered.alldebrid || remembered.ad_apikey || MANIFEST_DEFAULTS.ad || '';
- 
- // Apply same security measures as existing manifest endpoint
- const rememberedSafe = {};
- for (const [k, v] of Object.entries(remembered)) {
- if (!['ad', 'apikey', 'alldebrid', 'ad_apikey', 'rd', 'real-debrid', 'realdebrid', 'pm', 'premiumize', 'tb', 'torbox', 'oc', 'offcloud'].includes(k)) {
- rememberedSafe[k] = v;
- }
- }
- 
- // FIXED: Map short form keys to full provider keys for getConfiguredProviders
- const expandedConfig = { ...configParams };
- if (configParams.ad) expandedConfig.alldebrid = configParams.ad;
- if (configParams.rd) expandedConfig.realdebrid = configParams.rd;
- if (configParams.pm) expandedConfig.premiumize = configParams.pm;
- if (configParams.tb) expandedConfig.torbox = configParams.tb;
- if (configParams.oc) expandedConfig.offcloud = configParams.oc;
- if (configParams.ed) expandedConfig.easydebrid = configParams.ed;
- if (configParams.dl) expandedConfig.debridlink = configParams.dl;
- if (configParams.pu) expandedConfig.putio = configParams.pu;
- 
+/**
+ * Build the addon manifest for a parsed configuration
+ * @param {Object} configParams - Parsed config params
+ * @param {string} baseUrl - Public origin of this server
+ * @param {string} [streamPrefix] - Path the stream resource lives under (e.g. "u/{profileId}");
+ * defaults to an encrypted config token of configParams
+ */
+async function createManifestFromConfig(configParams, baseUrl, streamPrefix) {
  // ADDED: API KEY VALIDATION FOR PATH-BASED CONFIGURATION
  // Support all debrid providers equally using parallel validation
- const configuredProviders = getConfiguredProviders(expandedConfig);
+ const configuredProviders = getConfiguredProviders(configParams);
  
  // Validate all providers in parallel for faster manifest generation
- const validators = { validateAllDebridKey, validateDebridKey };
- const workingProviders = await validateProvidersParallel(configuredProviders, validators);
+ const workingProviders = await validateProvidersParallel(configuredProviders, adKeyValidationCache);
 
  // Build the tag based on the FIRST working debrid provider (only show tag if API key is valid)
  const primaryProvider = workingProviders.length > 0 ? workingProviders[0] : null;
  const tag = primaryProvider ? primaryProvider.provider.shortName : null;
  
- // Create query string for resource URL
- // IMPORTANT: Must include debrid credentials so Stremio can fetch streams with them
- const queryParts = [];
- for (const [k, v] of Object.entries(configParams)) {
- // Include ALL parameters including debrid keys - they're needed for stream fetching
- if (v) {
- queryParts.push(`${k}=${encodeURIComponent(v)}`);
- }
- }
- const queryString = queryParts.length > 0 ? queryParts.join('&') : '';
+ // Resource URL carries the whole config (debrid credentials included) as an encrypted token
+ const configEntries = Object.entries(configParams).filter(([, v]) => v);
+ const streamConfigToken = streamPrefix || (configEntries.length > 0 ? configToken.encodeConfig(Object.fromEntries(configEntries)) : '');
  
  const manifest = {
  id: 'com.stremio.autostream.addon',
@@ -1013,9 +953,9 @@ async function createManifestFromConfig(configParams, baseUrl) {
  }
  };
  
- // Add resource URL with parameters if any exist
- if (queryString) {
- manifest.resources[0].url = `${baseUrl}/stream/{type}/{id}.json?${queryString}`;
+ // Add resource URL with the config token if there is any config
+ if (streamConfigToken) {
+ manifest.resources[0].url = `${baseUrl}/${streamConfigToken}/stream/{type}/{id}.json`;
  }
  
  return manifest;
@@ -1077,61 +1017,29 @@ function startServer(port = PORT) {
  external: `${Math.round(memUsage.external / 1024 / 1024)}MB`
  },
  caches: cacheStats,
+ sources: sourceRegistry.getSourceStats(),
+ sourceHealth: sourceHealth.getState(),
+ torrentIndex: torrentIndex.getState(),
  debrid: debridStatus,
  reliability: reliabilityStats,
  config: {
  secureMode: FORCE_SECURE_MODE,
- emergencyDisableDebrid: EMERGENCY_DISABLE_DEBRID,
+ emergencyDisableDebrid: !featureFlags.isEnabled('debrid'),
+ featureFlags: Object.fromEntries(featureFlags.getFlags().map(f => [f.name, f.enabled])),
  port: PORT
  }
  }, 200);
  }
  
- // Debug endpoint to test upstream source connectivity
+ // Source, proxy and Nuvio provider state (read-only, no credentials - proxy URLs are shown without their query string)
  if (pathname === '/debug/sources') {
- const testType = q.get('type') || 'movie';
- const testId = q.get('id') || 'tt0111161';
- // Allow testing with debrid credentials for Comet
- const testDebridProvider = q.get('debrid_provider') || q.get('provider') || '';
- const testDebridApiKey = q.get('debrid_apikey') || q.get('apikey') || '';
- const testOptions = testDebridApiKey ? { debridProvider: testDebridProvider || 'realdebrid', debridApiKey: testDebridApiKey } : {};
- 
- const results = { 
- cfProxy: CF_PROXY_URL ? 'enabled' : 'disabled',
- cfProxyUrl: CF_PROXY_URL || null,
- debridConfigured: !!testDebridApiKey,
- torrentio: null, 
- tpb: null, 
- nuvio: null,
- comet: null,
- errors: [] 
- };
- 
- try {
- const start = Date.now();
- const torr = await fetchTorrentioStreams(testType, testId, {}, (m,...a) => results.errors.push(['torrentio', m, ...a]));
- results.torrentio = { count: torr.length, time: Date.now() - start, sample: torr[0]?.title?.substring(0,50) };
- } catch (e) { results.torrentio = { error: e.message }; }
- 
- try {
- const start = Date.now();
- const tpb = await fetchTPBStreams(testType, testId, {}, (m,...a) => results.errors.push(['tpb', m, ...a]));
- results.tpb = { count: tpb.length, time: Date.now() - start, sample: tpb[0]?.title?.substring(0,50) };
- } catch (e) { results.tpb = { error: e.message }; }
- 
- try {
- const start = Date.now();
- const nuvio = await fetchNuvioStreams(testType, testId, { query: { direct: '1' } }, (m,...a) => results.errors.push(['nuvio', m, ...a]));
- results.nuvio = { count: nuvio.length, time: Date.now() - start, sample: nuvio[0]?.title?.substring(0,50) };
- } catch (e) { results.nuvio = { error: e.message }; }
-
- try {
- const start = Date.now();
- const comet = await fetchCometStreams(testType, testId, testOptions, (m,...a) => results.errors.push(['comet', m, ...a]));
- results.comet = { count: comet.length, time: Date.now() - start, sample: comet[0]?.title?.substring(0,50) };
- } catch (e) { results.comet = { error: e.message }; }
- 
- return writeJson(res, results, 200);
+ return writeJson(res, {
+ ok: true,
+ sources: sourceRegistry.getSourceStats(),
+ sourceHealth: sourceHealth.getState(),
+ proxies: proxyPool.getState(),
+ nuvioProviders: nuvioProviders.getState()
+ }, 200);
  }
  
  // Additional compatibility endpoints for mobile Stremio
@@ -1168,28 +1076,117 @@ function startServer(port = PORT) {
  
  if (pathname === '/status') return writeJson(res, { status: 'ok', addon: 'AutoStream', version: '2' }, 200);
 
- // Penalty reliability API endpoints
- if (pathname === '/reliability/stats') {
- return writeJson(res, scoring.getReliabilityStats());
+ // ==== ADMIN API: /admin/* behind a bearer token (ADMIN_TOKEN or BLACKLIST_KEY) ====
+ if (pathname.startsWith('/admin/')) {
+ if (!ADMIN_TOKEN) return writeJson(res, { ok: false, error: 'Admin API disabled - set ADMIN_TOKEN' }, 503);
+ if (!isAdminRequest(req)) {
+ console.warn(`[WARN] Rejected unauthorized admin request: ${req.method} ${pathname}`);
+ return writeJson(res, { ok: false, error: 'Unauthorized' }, 401);
  }
-
- if (pathname === '/reliability/clear' && req.method === 'POST') {
- let body = '';
- req.on('data', chunk => body += chunk);
- req.on('end', () => {
+ 
  try {
- let data = {};
- if (body.trim()) {
- data = JSON.parse(body);
+ // Penalties: inspect, set a host's penalty, clear one host or all
+ if (pathname === '/admin/penalties' && req.method === 'GET') {
+ return writeJson(res, penaltyReliability.getState());
+ }
+ if (pathname === '/admin/penalties' && req.method === 'POST') {
+ const { host, penalty } = await readJsonBody(req);
+ const stored = penaltyReliability.setPenalty(host, penalty);
+ if (stored === null) return writeJson(res, { ok: false, error: 'host and numeric penalty required' }, 400);
+ console.log(`[ADMIN] Penalty for ${host} set to ${stored}`);
+ return writeJson(res, { ok: true, host: String(host).toLowerCase(), penalty: stored });
+ }
+ if (pathname === '/admin/penalties/clear' && req.method === 'POST') {
+ const { url, host } = await readJsonBody(req);
+ const target = url || (host ? `http://${host}/` : '');
+ const success = target ? penaltyReliability.clearPenalty(target) : penaltyReliability.clearAllPenalties();
+ console.log(`[ADMIN] Cleared penalties: ${target || 'all hosts'}`);
+ return writeJson(res, { ok: true, success });
+ }
+ 
+ // Metadata/episode/validation caches
+ if (pathname === '/admin/cache/flush' && req.method === 'POST') {
+ const cleared = clearEpisodeCaches() + sourceRegistry.clearSourceCaches();
+ console.log(`[ADMIN] Cache flush: ${cleared} entries cleared`);
+ return writeJson(res, { ok: true, cleared });
+ }
+ 
+ // Feature flags / kill switches: { flag, enabled } overrides, { flag, reset: true } restores the default
+ if (pathname === '/admin/flags' && req.method === 'GET') {
+ return writeJson(res, { ok: true, flags: featureFlags.getFlags() });
+ }
+ if (pathname === '/admin/flags' && req.method === 'POST') {
+ const { flag, enabled, reset } = await readJsonBody(req);
+ if (reset !== true && typeof enabled !== 'boolean') {
+ return writeJson(res, { ok: false, error: 'boolean enabled (or reset: true) required' }, 400);
+ }
+ const known = reset === true ? featureFlags.resetFlag(flag) : featureFlags.setFlag(flag, enabled);
+ if (!known) return writeJson(res, { ok: false, error: `Unknown flag: ${flag}` }, 400);
+ console.log(`[ADMIN] Feature flag ${flag} ${reset === true ? 'reset' : `set to ${enabled}`}`);
+ return writeJson(res, { ok: true, flag, enabled: featureFlags.isEnabled(flag) });
+ }
+ 
+ // Test upstream source connectivity (each call fans out to every upstream, hence admin-only)
+ if (pathname === '/admin/sources/test') {
+ const testType = q.get('type') || 'movie';
+ const testId = q.get('id') || 'tt0111161';
+ // Allow testing with debrid credentials for Torrentio, Comet and MediaFusion
+ const testDebridProvider = q.get('debrid_provider') || q.get('provider') || '';
+ const testDebridApiKey = q.get('debrid_apikey') || q.get('apikey') || '';
+ const testOptions = testDebridApiKey ? { debridProvider: testDebridProvider || 'realdebrid', debridApiKey: testDebridApiKey } : {};
+ 
+ const results = { 
+ cfProxy: proxyPool.isEnabled() ? 'enabled' : 'disabled',
+ proxies: proxyPool.getState(),
+ debridConfigured: !!testDebridApiKey,
+ errors: [] 
+ };
+ 
+ // Every registered source is tested; ?addons=<url-encoded manifest URLs, comma-separated> adds custom addons,
+ // ?torznab=<url-encoded endpoint>&torznab_key=<key> a Torznab indexer
+ const testCtx = {
+ hasDebrid: !!testDebridApiKey,
+ debridOptions: testOptions,
+ nuvioEnabled: true,
+ mediafusionEnabled: true,
+ customAddons: parseAddonList(q.get('addons')),
+ torznab: parseTorznabEndpoint(q.get('torznab'), q.get('torznab_key'))
+ };
+ for (const source of sourceRegistry.getSources()) {
+ if (source.isRequested && !source.isRequested(testCtx)) {
+ results[source.id] = null;
+ continue;
+ }
+ try {
+ const start = Date.now();
+ const streams = await source.fetch(testType, testId, testCtx, (m,...a) => results.errors.push([source.id, m, ...a]));
+ results[source.id] = { count: streams.length, time: Date.now() - start, sample: streams[0]?.title?.substring(0,50) };
+ } catch (e) { results[source.id] = { error: e.message }; }
+ }
+ 
+ return writeJson(res, results, 200);
+ }
+
+ // Debrid resolve cache
+ if (pathname === '/admin/resolve-cache' && req.method === 'GET') {
+ return writeJson(res, { ok: true, ...getResolveCacheState() });
+ }
+ if (pathname === '/admin/resolve-cache/clear' && req.method === 'POST') {
+ const { key } = await readJsonBody(req);
+ const cleared = clearResolveCache(key);
+ console.log(`[ADMIN] Resolve cache: ${cleared} entries cleared`);
+ return writeJson(res, { ok: true, cleared });
  }
- const { url } = data;
- const success = url ? penaltyReliability.clearPenalty(url) : penaltyReliability.clearAllPenalties();
- writeJson(res, { success });
  } catch (e) {
- writeJson(res, { success: false, error: e.message }, 400);
+ return writeJson(res, { ok: false, error: e.message }, 400);
  }
- });
- return;
+ 
+ return writeJson(res, { ok: false, error: 'Unknown admin endpoint' }, 404);
+ }
+
+ // Penalty reliability API endpoints (public, read-only)
+ if (pathname === '/reliability/stats') {
+ return writeJson(res, scoring.getReliabilityStats());
  }
 
  if (pathname === '/reliability/penalties') {
@@ -1209,7 +1206,7 @@ function startServer(port = PORT) {
  console.log(`[${playRequestId}] [LINK] URL: ${sanitizeUrl(req.originalUrl)}`);
  console.log(`[${playRequestId}] [STATS] Query:`, sanitizeQueryParams(q));
  
- return handlePlay(req, res, MANIFEST_DEFAULTS);
+ return handlePlay(req, res);
  }
 
  // Test dashboard for debugging issues
@@ -1220,6 +1217,72 @@ function startServer(port = PORT) {
  return res.end('Test dashboard not found');
  }
 
+ // Configure UI: exchange a path configuration for an encrypted config token
+ // so install links carry /{token}/manifest.json instead of raw debrid keys
+ if (pathname === '/configure/token' && req.method === 'POST') {
+ const clientIP = getClientIp(req);
+ if (!profileRateLimiter.isAllowed(clientIP)) {
+ return writeJson(res, { ok: false, error: 'Rate limit exceeded' }, 429);
+ }
+ try {
+ const data = await readJsonBody(req);
+ const configParams = parsePathConfiguration(String(data.config || ''));
+ if (Object.keys(configParams).length === 0) {
+ return writeJson(res, { ok: false, error: 'Empty configuration' }, 400);
+ }
+ return writeJson(res, { ok: true, token: configToken.encodeConfig(configParams) });
+ } catch (e) {
+ return writeJson(res, { ok: false, error: e.message }, 400);
+ }
+ }
+
+ // Config profiles: the configure UI saves settings and installs a short /u/{id}/manifest.json
+ // POST /profiles { config } creates one; POST /profiles/{id} { config, editKey } updates it in place
+ const profileSaveMatch = pathname.match(/^\/profiles(?:\/([^\/]+))?$/);
+ if (profileSaveMatch && req.method === 'POST') {
+ const clientIP = getClientIp(req);
+ if (!profileRateLimiter.isAllowed(clientIP)) {
+ return writeJson(res, { ok: false, error: 'Rate limit exceeded' }, 429);
+ }
+ try {
+ const data = await readJsonBody(req);
+ const configParams = parsePathConfiguration(String(data.config || ''));
+ if (Object.keys(configParams).length === 0) {
+ return writeJson(res, { ok: false, error: 'Empty configuration' }, 400);
+ }
+ 
+ const profileId = profileSaveMatch[1];
+ if (!profileId) {
+ const created = profileStore.createProfile(configParams);
+ if (!created) return writeJson(res, { ok: false, error: 'Could not create profile' }, 503);
+ console.log(`[OK] Created config profile ${created.id}`);
+ return writeJson(res, { ok: true, id: created.id, editKey: created.editKey });
+ }
+ 
+ const result = profileStore.updateProfile(profileId, data.editKey, configParams);
+ if (result === 'not_found') return writeJson(res, { ok: false, error: 'Unknown profile' }, 404);
+ if (result === 'forbidden') return writeJson(res, { ok: false, error: 'Invalid edit key' }, 403);
+ if (result !== 'ok') return writeJson(res, { ok: false, error: 'Could not save profile' }, 503);
+ console.log(`[OK] Updated config profile ${profileId}`);
+ return writeJson(res, { ok: true, id: profileId });
+ } catch (e) {
+ return writeJson(res, { ok: false, error: e.message }, 400);
+ }
+ }
+
+ // Profile install route: /u/:profileId/manifest.json
+ const profileManifestMatch = pathname.match(/^\/u\/([^\/]+)\/manifest\.json$/);
+ if (profileManifestMatch) {
+ const profileId = profileManifestMatch[1];
+ const configParams = profileStore.getProfileConfig(profileId);
+ if (!configParams) {
+ return writeJson(res, { ok: false, error: 'Unknown profile - create one on the configure page' }, 404);
+ }
+ const baseUrl = `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}`;
+ const manifest = await createManifestFromConfig(configParams, baseUrl, `u/${profileId}`);
+ return writeJson(res, manifest, 200);
+ }
+
  // Configure UI - use your existing loader
  if (pathname === '/' || pathname === '/configure' || pathname === '/ui/configure') {
  const loaderPath = path.join(UI_ROOT, 'configure.js');
@@ -1252,7 +1315,7 @@ function startServer(port = PORT) {
  
  try {
  const configParams = parsePathConfiguration(configurationPath);
- console.log('[DEBUG] PATH-BASED: Parsed params:', configParams);
+ console.log('[DEBUG] PATH-BASED: Parsed params:', Object.keys(configParams));
  const baseUrl = `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}`;
  const manifest = await createManifestFromConfig(configParams, baseUrl);
  
@@ -1283,7 +1346,7 @@ function startServer(port = PORT) {
  // Redacted param values for security
  const redactedParams = {};
  for (const [k, v] of Object.entries(paramsObj)) {
- if (['alldebrid', 'realdebrid', 'premiumize', 'torbox', 'offcloud', 'easydebrid', 'debridlink', 'putio', 'ad', 'rd', 'pm', 'tb', 'oc', 'ed', 'dl', 'pu', 'nuvio_cookie'].includes(k)) {
+ if (['alldebrid', 'realdebrid', 'premiumize', 'torbox', 'offcloud', 'easydebrid', 'debridlink', 'putio', 'ad', 'rd', 'pm', 'tb', 'oc', 'ed', 'dl', 'pu', 'nuvio_cookie', 'torznab_key'].includes(k)) {
  redactedParams[k] = '[REDACTED]';
  } else {
  redactedParams[k] = v;
@@ -1296,67 +1359,31 @@ function startServer(port = PORT) {
  
  const remembered = {};
  for (const [k, v] of Object.entries(paramsObj)) if (REMEMBER_KEYS.has(k)) remembered[k] = String(v);
- remembered.ad = remembered.ad || remembered.apikey || remembered.alldebrid || remembered.ad_apikey || MANIFEST_DEFAULTS.ad || '';
- 
- // Clear old debrid defaults when new addon is being configured
- if (!remembered.ad && !remembered.rd && !remembered.pm && !remembered.tb && !remembered.oc) {
- // No debrid providers specified - clear cached debrid values
- delete MANIFEST_DEFAULTS.rd;
- delete MANIFEST_DEFAULTS.pm; 
- delete MANIFEST_DEFAULTS.tb;
- delete MANIFEST_DEFAULTS.oc;
- delete MANIFEST_DEFAULTS['real-debrid'];
- delete MANIFEST_DEFAULTS.realdebrid;
- delete MANIFEST_DEFAULTS.premiumize;
- delete MANIFEST_DEFAULTS.torbox;
- delete MANIFEST_DEFAULTS.offcloud;
- }
- 
- // SECURITY: Never store API keys in global defaults
- const rememberedSafe = {};
- for (const [k, v] of Object.entries(remembered)) {
- // Only remember non-sensitive configuration
- if (!['ad', 'apikey', 'alldebrid', 'ad_apikey', 'rd', 'real-debrid', 'realdebrid', 'pm', 'premiumize', 'tb', 'torbox', 'oc', 'offcloud'].includes(k)) {
- rememberedSafe[k] = v;
- }
- }
- MANIFEST_DEFAULTS = Object.assign({}, MANIFEST_DEFAULTS, rememberedSafe);
+ remembered.ad = remembered.ad || remembered.apikey || remembered.alldebrid || remembered.ad_apikey || '';
  
  // UNIFIED DEBRID PROVIDER VALIDATION
  // Support all debrid providers equally using our new provider system
  
- // FIXED: Map short form keys to full provider keys for getConfiguredProviders
- const expandedParams = { ...paramsObj };
- if (paramsObj.ad) expandedParams.alldebrid = paramsObj.ad;
- if (paramsObj.rd) expandedParams.realdebrid = paramsObj.rd;
- if (paramsObj.pm) expandedParams.premiumize = paramsObj.pm;
- if (paramsObj.tb) expandedParams.torbox = paramsObj.tb;
- if (paramsObj.oc) expandedParams.offcloud = paramsObj.oc;
- if (paramsObj.ed) expandedParams.easydebrid = paramsObj.ed;
- if (paramsObj.dl) expandedParams.debridlink = paramsObj.dl;
- if (paramsObj.pu) expandedParams.putio = paramsObj.pu;
- 
- const configuredProviders = getConfiguredProviders(expandedParams);
+ const configuredProviders = getConfiguredProviders(paramsObj);
  
  // Validate all providers in parallel for faster manifest generation
- const validators = { validateAllDebridKey, validateDebridKey };
- const workingProviders = await validateProvidersParallel(configuredProviders, validators);
+ const workingProviders = await validateProvidersParallel(configuredProviders, adKeyValidationCache);
 
  // Build the tag based on the FIRST working debrid provider
  const primaryProvider = workingProviders.length > 0 ? workingProviders[0] : null;
  const tag = primaryProvider ? primaryProvider.provider.shortName : null;
  
- // Build query string for preserved parameters
- const queryParams = new URLSearchParams();
+ // Preserved parameters travel to the stream route as an encrypted config token
+ const streamConfig = {};
  for (const [k, v] of Object.entries(remembered)) {
- if (v && REMEMBER_KEYS.has(k)) queryParams.set(k, v);
+ if (v && REMEMBER_KEYS.has(k)) streamConfig[k] = v;
  }
- const queryString = queryParams.toString();
+ const streamConfigToken = Object.keys(streamConfig).length > 0 ? configToken.encodeConfig(streamConfig) : '';
  const baseUrl = `${req.protocol || 'http'}://${req.headers.host || 'localhost:7010'}`;
  
  // Build stream URL with configured parameters
- const streamUrl = queryString ? 
- `${baseUrl}/stream/{type}/{id}.json?${queryString}` : 
+ const streamUrl = streamConfigToken ? 
+ `${baseUrl}/${streamConfigToken}/stream/{type}/{id}.json` : 
  `${baseUrl}/stream/{type}/{id}.json`;
 
  const manifest = {
@@ -1371,7 +1398,7 @@ function startServer(port = PORT) {
  name: 'stream', 
  types: ['movie','series'], 
  idPrefixes: ['tt','tmdb'],
- ...(queryString && { url: streamUrl })
+ ...(streamConfigToken && { url: streamUrl })
  }],
  types: ['movie','series'],
  catalogs: [],
@@ -1381,12 +1408,8 @@ function startServer(port = PORT) {
  }
  };
  
- // SECURITY: Don't include API keys in manifest URLs - use path-based configuration
+ // SECURITY: Don't include API keys in manifest URLs - only the encrypted config token
  // API keys in URLs expose them in browser history, logs, and can be intercepted
- // The configure UI uses path-based config which embeds keys safely in the manifest path
- if (queryString) {
- manifest.resources[0].url = `${baseUrl}/stream/{type}/{id}.json?${queryString}`;
- }
  
  return writeJson(res, manifest, 200);
  }
@@ -1394,27 +1417,32 @@ function startServer(port = PORT) {
  // ==== PATH-BASED CONFIGURATION FOR STREAM ROUTES (Torrentio-style) ====
  // Handle both /stream/:type/:id.json AND /:config/stream/:type/:id.json
  let type, id;
+ let pathParams = {};
  
+ // Profile config: /u/:profileId/stream/:type/:id.json
+ const profileStreamMatch = pathname.match(/^\/u\/([^\/]+)\/stream\/(movie|series)\/(.+)\.json$/);
  // Try path-based config first: /:configuration/stream/:type/:id.json
- const pathBasedStreamMatch = pathname.match(/^\/([^\/]+)\/stream\/(movie|series)\/(.+)\.json$/);
- if (pathBasedStreamMatch) {
+ const pathBasedStreamMatch = !profileStreamMatch && pathname.match(/^\/([^\/]+)\/stream\/(movie|series)\/(.+)\.json$/);
+ if (profileStreamMatch) {
+ type = profileStreamMatch[2];
+ id = decodeURIComponent(profileStreamMatch[3]);
+ 
+ pathParams = profileStore.getProfileConfig(profileStreamMatch[1]);
+ if (!pathParams) {
+ console.warn(`[WARN] PROFILE STREAM: Unknown profile ${profileStreamMatch[1]}`);
+ return writeJson(res, { streams: [] }, 404);
+ }
+ } else if (pathBasedStreamMatch) {
  const configurationPath = pathBasedStreamMatch[1];
  type = pathBasedStreamMatch[2];
  id = decodeURIComponent(pathBasedStreamMatch[3]);
  
  console.log('[INFO] PATH-BASED STREAM: Configuration path:', configurationPath);
  
- // Parse config from path and merge with query params (path takes precedence)
+ // Parse config from path (merged with query params in buildRequestConfig below)
  try {
- const pathParams = parsePathConfiguration(configurationPath);
+ pathParams = parsePathConfiguration(configurationPath);
  console.log('[DEBUG] PATH-BASED STREAM: Parsed params:', Object.keys(pathParams));
- 
- // Merge path params into query params (path params take precedence)
- for (const [key, value] of Object.entries(pathParams)) {
- if (!q.has(key)) {
- q.set(key, value);
- }
- }
  } catch (error) {
  console.error('[ERROR] PATH-BASED STREAM: Config parsing failed:', error.message);
  }
@@ -1430,6 +1458,9 @@ function startServer(port = PORT) {
  id = decodeURIComponent(m[2]);
  }
 
+ // Everything below reads settings from this request's config only
+ const config = buildRequestConfig(q, pathParams);
+
  // ============ TV DEBUGGING: DETAILED REQUEST LOGGING ============
  const requestId = Math.random().toString(36).substr(2, 9);
  const userAgent = req.headers['user-agent'] || '';
@@ -1453,7 +1484,7 @@ function startServer(port = PORT) {
  console.log(`[${requestId}] [DEVICE] Device Type: ${deviceType}`);
  console.log(`[${requestId}] [WEB] User Agent: "${userAgent}"`);
  console.log(`[${requestId}] [LINK] Full URL: ${sanitizeUrl(req.originalUrl)}`);
- console.log(`[${requestId}] [STATS] Query Params:`, sanitizeQueryParams(q));
+ console.log(`[${requestId}] [STATS] Query Params:`, sanitizeQueryParams(new Map(Object.entries(config))));
  
  // Simple universal device type (no TV-specific handling)
  const actualDeviceType = deviceType;
@@ -1461,7 +1492,7 @@ function startServer(port = PORT) {
  // ============ DEFENSIVE CODE: REQUEST VALIDATION ============
  
  // 1. Rate limiting per IP
- const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
+ const clientIP = getClientIp(req);
  if (!rateLimiter.isAllowed(clientIP)) {
  res.writeHead(429, { 'Content-Type': 'application/json' });
  return res.end(JSON.stringify({ error: 'Rate limit exceeded' }));
@@ -1479,7 +1510,7 @@ function startServer(port = PORT) {
  }
  
  // 3. API key validation if provided
- const adParam = sanitizeStringParam(getQ(q,'ad') || getQ(q,'apikey') || getQ(q,'alldebrid') || getQ(q,'ad_apikey') || '');
+ const adParam = sanitizeStringParam(getQ(config,'ad') || getQ(config,'apikey') || getQ(config,'alldebrid') || getQ(config,'ad_apikey') || '');
  if (adParam && !validateApiKey(adParam)) {
  res.writeHead(400, { 'Content-Type': 'application/json' });
  return res.end(JSON.stringify({ error: 'Invalid API key format' }));
@@ -1493,9 +1524,9 @@ function startServer(port = PORT) {
  
  // ============ MAIN STREAM PROCESSING (WITH DEFENSIVE PROTECTIONS) ============
 
- const labelOrigin = q.get('label_origin') === '1';
- const onlySource = (q.get('only') || '').toLowerCase();
- const nuvioCookie = sanitizeCookieVal(getQ(q,'nuvio_cookie') || getQ(q,'dcookie') || getQ(q,'cookie') || MANIFEST_DEFAULTS.nuvio_cookie || MANIFEST_DEFAULTS.dcookie || MANIFEST_DEFAULTS.cookie || '');
+ const labelOrigin = getQ(config, 'label_origin') === '1';
+ const onlySource = (getQ(config, 'only') || '').toLowerCase();
+ const nuvioCookie = sanitizeCookieVal(getQ(config,'nuvio_cookie') || getQ(config,'dcookie') || getQ(config,'cookie') || '');
  
  // Enhanced logging with levels and detailed TV debugging
  const VERBOSE_LOGGING = process.env.VERBOSE_LOGGING === 'true';
@@ -1539,18 +1570,19 @@ function startServer(port = PORT) {
  console.log(`[${requestId}] [LOCATION] Stream request: ${type}/${actualId}`);
  
  // Parse enhanced configuration parameters
- const langPrioStr = getQ(q, 'lang_prio') || MANIFEST_DEFAULTS.lang_prio || '';
+ const langPrioStr = getQ(config, 'lang_prio') || '';
  const preferredLanguages = langPrioStr ? langPrioStr.split(',').map(l => l.trim()).filter(Boolean) : [];
- const maxSizeStr = getQ(q, 'max_size') || MANIFEST_DEFAULTS.max_size || '';
+ const maxSizeStr = getQ(config, 'max_size') || '';
  const maxSizeBytes = maxSizeStr ? parseFloat(maxSizeStr) * (1024 ** 3) : 0; // Convert GB to bytes
- const additionalStreamEnabled = getQ(q, 'additionalstream') === '1' || getQ(q, 'fallback') === '1' || MANIFEST_DEFAULTS.additionalstream === '1' || MANIFEST_DEFAULTS.fallback === '1';
- const secondBestEnabled = getQ(q, 'secondBest') === '1' || getQ(q, 'secondbest') === '1' || MANIFEST_DEFAULTS.secondBest === '1';
- const conserveCookie = getQ(q, 'conserve_cookie') !== '0'; // Default to true unless explicitly disabled
+ const additionalStreamEnabled = getQ(config, 'additionalstream') === '1' || getQ(config, 'fallback') === '1';
+ const secondBestEnabled = getQ(config, 'secondBest') === '1' || getQ(config, 'secondbest') === '1';
+ const conserveCookie = getQ(config, 'conserve_cookie') !== '0'; // Default to true unless explicitly disabled
+ const cachedOnlyEnabled = getQ(config, 'cached_only') === '1';
  
  // Debug logging for 2ndBest
- console.log(`[${requestId}] [DEBUG] secondBest query: "${getQ(q, 'secondBest')}", default: "${MANIFEST_DEFAULTS.secondBest}", enabled: ${secondBestEnabled}`);
+ console.log(`[${requestId}] [DEBUG] secondBest query: "${getQ(config, 'secondBest')}", enabled: ${secondBestEnabled}`);
  
- const blacklistStr = getQ(q, 'blacklist') || MANIFEST_DEFAULTS.blacklist || '';
+ const blacklistStr = getQ(config, 'blacklist') || '';
  // Sanitize and validate blacklist terms
  let blacklistTerms = blacklistStr 
  ? blacklistStr.split(',')
@@ -1582,9 +1614,17 @@ function startServer(port = PORT) {
  }
 
  // which sources
- const dhosts = String(getQ(q,'dhosts') || MANIFEST_DEFAULTS.dhosts || '').toLowerCase().split(',').map(s=>s.trim()).filter(Boolean);
- const nuvioEnabled = dhosts.includes('nuvio') || q.get('nuvio') === '1' || q.get('include_nuvio') === '1' || MANIFEST_DEFAULTS.nuvio === '1' || MANIFEST_DEFAULTS.include_nuvio === '1' || onlySource === 'nuvio' || 
+ const dhosts = String(getQ(config,'dhosts') || '').toLowerCase().split(',').map(s=>s.trim()).filter(Boolean);
+ const nuvioEnabled = dhosts.includes('nuvio') || getQ(config, 'nuvio') === '1' || getQ(config, 'include_nuvio') === '1' || onlySource === 'nuvio' || 
  (!onlySource && dhosts.length === 0); // Enable by default when no specific sources requested
+ // Nuvio providers the user switched off (nuvio_exclude=showbox,vidzee)
+ const nuvioExclude = nuvioProviders.parseProviderList(getQ(config, 'nuvio_exclude'));
+ // MediaFusion is opt-in (configure toggle) and only returns streams with debrid credentials
+ const mediafusionEnabled = dhosts.includes('mediafusion') || getQ(config, 'mediafusion') === '1' || onlySource === 'mediafusion';
+ // User-configured Stremio addons (manifest URLs)
+ const customAddons = parseAddonList(getQ(config, 'addons'));
+ // User's own Torznab indexer (Jackett/Prowlarr)
+ const torznab = parseTorznabEndpoint(getQ(config, 'torznab'), getQ(config, 'torznab_key'));
 
  // Extract debrid credentials early for Comet (it needs it for config)
  // This is a preliminary extraction - full validation happens later in the debrid section
@@ -1592,25 +1632,14 @@ function startServer(port = PORT) {
  let earlyDebridProvider = null;
  let earlyDebridApiKey = null;
  
- // Short-form to long-form mapping for debrid providers
- const shortFormMapping = {
-  'ad': 'alldebrid',
-  'rd': 'realdebrid', 
-  'pm': 'premiumize',
-  'tb': 'torbox',
-  'oc': 'offcloud',
-  'ed': 'easydebrid',
-  'dl': 'debridlink',
-  'pu': 'putio'
- };
- 
  // Check short forms first (most commonly used in path config)
- for (const [shortKey, fullKey] of Object.entries(shortFormMapping)) {
-  const value = getQ(q, shortKey) || '';
+ for (const key of getProviderKeys()) {
+  const shortKey = getProvider(key).shortParam;
+  const value = getQ(config, shortKey) || '';
   if (value) {
-   earlyDebridProvider = fullKey;
+   earlyDebridProvider = key;
    earlyDebridApiKey = value;
-   log(`[DEBRID] Found short-form key "${shortKey}" -> provider: ${fullKey}`);
+   log(`[DEBRID] Found short-form key "${shortKey}" -> provider: ${key}`);
    break;
   }
  }
@@ -1619,7 +1648,7 @@ function startServer(port = PORT) {
  if (!earlyDebridApiKey) {
   const providerKeysEarly = getProviderKeys();
   for (const key of providerKeysEarly) {
-   const value = getQ(q, key) || '';
+   const value = getQ(config, key) || '';
    if (value) {
     earlyDebridProvider = key;
     earlyDebridApiKey = value;
@@ -1631,7 +1660,7 @@ function startServer(port = PORT) {
  
  // Also check legacy AllDebrid params
  if (!earlyDebridApiKey) {
-  const legacyAd = getQ(q,'apikey') || getQ(q,'alldebrid') || getQ(q,'ad_apikey') || '';
+  const legacyAd = getQ(config,'apikey') || getQ(config,'alldebrid') || getQ(config,'ad_apikey') || '';
   if (legacyAd) {
    earlyDebridProvider = 'alldebrid';
    earlyDebridApiKey = legacyAd;
@@ -1641,39 +1670,40 @@ function startServer(port = PORT) {
  
  log(`[DEBRID] Early extraction result: provider=${earlyDebridProvider}, hasKey=${!!earlyDebridApiKey}`);
  
- // Build source options with debrid config for Comet
- const cometMfOptions = earlyDebridApiKey ? {
-  debridProvider: earlyDebridProvider,
-  debridApiKey: earlyDebridApiKey
- } : {};
-
-
- // fetch sources (no debrid here) - parallel execution with timeout for faster response
- // Torrentio and Comet now use debrid credentials when available
- // TPB disabled - 403 from cloud IPs
- console.log(`[${requestId}] [LAUNCH] Fetching streams from sources...`);
- const sourcePromises = [
- // Torrentio: Enable with debrid credentials via CF proxy (may still get 403 on cloud IPs)
- earlyDebridApiKey ? fetchTorrentioStreams(type, actualId, cometMfOptions, (msg) => log('Torrentio: ' + msg, 'verbose')) : Promise.resolve([]),
- Promise.resolve([]), // TPB disabled - 403 from cloud IPs  
- nuvioEnabled ? fetchNuvioStreams(type, actualId, { query: { direct: '1' }, cookie: nuvioCookie }, (msg) => log('Nuvio: ' + msg, 'verbose')) : Promise.resolve([]),
- // Comet: Primary debrid source - always enabled when debrid credentials available
- fetchCometStreams(type, actualId, cometMfOptions, (msg) => log('Comet: ' + msg, 'verbose'))
- ];
- 
- // Use Promise.allSettled() with timeout for sources
- const [torrentioResult, tpbResult, nuvioResult, cometResult] = await Promise.allSettled(sourcePromises);
- 
- // Extract results with graceful fallback - failed sources return empty arrays
- const fromTorr = torrentioResult.status === 'fulfilled' ? (torrentioResult.value || []) : [];
- const fromTPB = tpbResult.status === 'fulfilled' ? (tpbResult.value || []) : [];
- const fromNuvio = nuvioResult.status === 'fulfilled' ? (nuvioResult.value || []) : [];
- const fromComet = cometResult.status === 'fulfilled' ? (cometResult.value || []) : [];
+ // Per-request source context (debrid config is used by Torrentio, Comet and MediaFusion)
+ const sourceCtx = {
+ hasDebrid: !!earlyDebridApiKey,
+ debridOptions: earlyDebridApiKey ? { debridProvider: earlyDebridProvider, debridApiKey: earlyDebridApiKey } : {},
+ nuvioEnabled,
+ nuvioCookie,
+ nuvioExclude,
+ mediafusionEnabled,
+ customAddons,
+ torznab,
+ getMeta: () => metaPromise
+ };
+
+ // fetch sources (no debrid here) - parallel execution, a failed source just contributes no streams
+ // Answers at TIMEOUTS.SOURCE_DEADLINE, or earlier once enough good candidates are in; slower sources finish in the background
+ // Each source can be switched off at runtime (source.* feature flags; TPB is off by default - 403 from cloud IPs)
+ const activeSources = sourceRegistry.getActiveSources(sourceCtx, { only: sourceRegistry.getSource(onlySource) ? onlySource : '', isEnabled: featureFlags.isSourceEnabled });
+ console.log(`[${requestId}] [LAUNCH] Fetching streams from sources: ${activeSources.map(src => src.name).join(', ') || 'none'}`);
+ const sourcesStart = Date.now();
+ const sourceResults = await sourceRegistry.fetchFromSources(activeSources, type, actualId, sourceCtx,
+ (source, ...a) => log(`${source.name}: ${a.join(' ')}`, 'verbose'), {
+ deadlineMs: TIMEOUTS.SOURCE_DEADLINE,
+ isEnough: (streams) => streams.filter(isGoodCandidate).length >= TIMEOUTS.EARLY_EXIT_MIN_GOOD,
+ // Every torrent seen goes into the local index (late sources too) - the fallback when upstreams are down
+ onResult: (source, streams) => torrentIndex.recordStreams(actualId, streams, source.origin)
+ });
  
- if (torrentioResult.status === 'rejected') console.log(`[${requestId}] [FAIL] Torrentio failed: ${torrentioResult.reason}`);
- if (tpbResult.status === 'rejected') console.log(`[${requestId}] [FAIL] TPB+ failed: ${tpbResult.reason}`);
- if (nuvioResult.status === 'rejected') console.log(`[${requestId}] [FAIL] Nuvio failed: ${nuvioResult.reason}`);
- if (cometResult.status === 'rejected') console.log(`[${requestId}] [FAIL] Comet failed: ${cometResult.reason}`);
+ for (const { source, error } of sourceResults) {
+ if (error) console.log(`[${requestId}] [FAIL] ${source.name} failed: ${error}`);
+ }
+ const pendingSources = sourceResults.filter(r => r.pending).map(r => r.source.name);
+ if (pendingSources.length > 0) {
+ console.log(`[${requestId}] [TIMEOUT] Answering after ${Date.now() - sourcesStart}ms without ${pendingSources.join(', ')} - still running, their results will be cached for the next request`);
+ }
  
  // Try to get meta quickly, but don't wait long
  let finalMeta;
@@ -1693,7 +1723,7 @@ function startServer(port = PORT) {
  if (finalMeta && (finalMeta.name === 'TIMEOUT_FALLBACK' || finalMeta.name === 'Content' || finalMeta.name?.startsWith('Content ') || finalMeta.name?.startsWith('Title ') || !finalMeta.name || finalMeta.name === actualId || finalMeta.name.startsWith('tt'))) {
  
  // For series, try to get the base show name from any stream
- const allStreams = [...fromTorr, ...fromTPB, ...fromNuvio, ...fromComet];
+ const allStreams = sourceResults.flatMap(r => r.streams);
  if (allStreams.length > 0 && type === 'series') {
  // Look for common patterns in stream names to extract show title
  const streamTitles = allStreams.slice(0, 5).map(s => s.title || s.name || '').filter(Boolean);
@@ -1751,35 +1781,31 @@ function startServer(port = PORT) {
  };
  }
  
- // Log which sources worked/failed for debugging
- if (torrentioResult.status === 'rejected') log('[WARN] Torrentio failed: ' + (torrentioResult.reason?.message || 'Unknown error'), 'verbose');
- if (tpbResult.status === 'rejected') log('[WARN] TPB+ failed: ' + (tpbResult.reason?.message || 'Unknown error'), 'verbose');
- if (nuvioResult.status === 'rejected') log('[WARN] Nuvio failed: ' + (nuvioResult.reason?.message || 'Unknown error'), 'verbose');
- 
- // Better breakdown of Nuvio streams
- const cookieStreams = fromNuvio.filter(s => hasNuvioCookie(s) || (nuvioCookie && s.autostreamOrigin === 'nuvio'));
- const regularNuvio = fromNuvio.length - cookieStreams.length;
- const nuvioDisplay = fromNuvio.length > 0 ? 
- (cookieStreams.length > 0 ? `Nuvio(${regularNuvio}), Nuvio+(${cookieStreams.length})` : `Nuvio(${fromNuvio.length})`) :
- 'Nuvio(0)';
- 
- // Show all active sources including Torrentio when debrid configured
- const torrentioDisplay = fromTorr.length > 0 ? `Torrentio(${fromTorr.length}), ` : '';
- console.log(`[${requestId}] [STATS] Active Sources: ${torrentioDisplay}${nuvioDisplay}, Comet(${fromComet.length})`);
+ console.log(`[${requestId}] [STATS] Active Sources: ${sourceRegistry.describeResults(sourceResults, sourceCtx) || 'none'}`);
 
- function tag(list, origin) {
- return (list || []).map(s => {
- s.autostreamOrigin = origin;
- s.name = s.name || (origin === 'nuvio' ? 'Nuvio' : origin === 'torrentio' ? 'Torrentio' : origin === 'comet' ? 'Comet' : 'TPB+');
- return s;
- });
+ // Source results are the objects held in the (shared, stale-while-revalidate) response caches:
+ // work on copies so per-request state (signed /play URL, _debrid/_debridCached flags) never leaks into them
+ function tag(list, source) {
+ return (list || []).filter(Boolean).map(s => ({
+ ...s,
+ ...(s.behaviorHints ? { behaviorHints: { ...s.behaviorHints } } : {}),
+ autostreamOrigin: source.origin,
+ name: s.name || source.name
+ }));
  }
 
- let combined = []
- .concat(tag(fromTorr, 'torrentio'))
- .concat(tag(fromTPB, 'tpb'))
- .concat(tag(fromNuvio, 'nuvio'))
- .concat(tag(fromComet, 'comet'));
+ const fetchedStreams = sourceResults.flatMap(({ source, streams }) => tag(streams, source));
+
+ // Local torrent index fallback: live sources came back empty or did not all answer in time
+ let indexStreams = [];
+ if (fetchedStreams.length === 0 || pendingSources.length > 0) {
+ const liveHashes = new Set(fetchedStreams.map(s => String(s.infoHash || '').toLowerCase()).filter(Boolean));
+ indexStreams = torrentIndex.lookup(actualId).filter(s => !liveHashes.has(s.infoHash));
+ if (indexStreams.length > 0) {
+ console.log(`[${requestId}] [CACHE] Local torrent index: ${indexStreams.length} candidate(s) (${fetchedStreams.length === 0 ? 'no live results' : `without ${pendingSources.join(', ')}`})`);
+ }
+ }
+ let combined = [...fetchedStreams, ...indexStreams];
 
  let beforeFilterCount = combined.length; // Track for cache decision later
 
@@ -1848,17 +1874,9 @@ function startServer(port = PORT) {
  
  // Instead of returning empty array (which causes infinite loading),
  // return a helpful message stream explaining the issue
- const messageStream = {
- name: "[BLOCKED] No Streams Available",
- title: `No streams found for this content. This may be because:\n• Content is too new or not yet indexed\n• Episode is not available on current sources\n• Try checking back later or use different sources`,
- url: "data:text/plain;charset=utf-8,No%20streams%20available%20for%20this%20content",
- behaviorHints: {
- // Message streams don't need notWebReady since they use data: URLs, not magnet links
- filename: "no_streams_available.txt"
- }
- };
- 
- writeJson(res, { streams: [messageStream] });
+ // Sources still running may have streams on the next try - keep Stremio from caching this for an hour
+ if (pendingSources.length > 0) res.setHeader('Cache-Control', 'max-age=60');
+ writeJson(res, { streams: [buildNoStreamsMessage(`No streams found for this content. This may be because:\n• Content is too new or not yet indexed\n• Episode is not available on current sources\n• Try checking back later or use different sources`)] });
  return;
  }
 
@@ -1868,20 +1886,14 @@ function startServer(port = PORT) {
  // Fallback: If no streams after initial aggregation, try torrent sources
  if (combined.length === 0 && beforeFilterCount > 0) {
  log(`[WARN] No streams after aggregation - looking for torrent alternatives`);
- combined = []
- .concat(tag(fromTorr, 'torrentio'))
- .concat(tag(fromTPB, 'tpb'))
- .concat(tag(fromNuvio, 'nuvio'))
+ combined = fetchedStreams
  .filter(stream => stream.infoHash || (stream.url && stream.url.startsWith('magnet:')));
  
  if (combined.length > 0) {
  log(`[INFO] Found ${combined.length} torrent/magnet alternatives`);
  } else {
  log(`[WARN] No torrent alternatives - falling back to original sources`);
- combined = []
- .concat(tag(fromTorr, 'torrentio'))
- .concat(tag(fromTPB, 'tpb'))
- .concat(tag(fromNuvio, 'nuvio'));
+ combined = [...fetchedStreams];
  }
  }
 
@@ -1921,14 +1933,14 @@ function startServer(port = PORT) {
  const providerKeys = getProviderKeys();
  
  for (const key of providerKeys) {
- const value = getQ(q, key) || '';
+ const value = getQ(config, key) || getQ(config, getProvider(key).shortParam) || '';
  if (value) {
  providerConfig[key] = value;
  }
  }
  
  // Legacy AllDebrid parameter mapping for backward compatibility
- const legacyAdParam = getQ(q,'ad') || getQ(q,'apikey') || getQ(q,'alldebrid') || getQ(q,'ad_apikey') || '';
+ const legacyAdParam = getQ(config,'ad') || getQ(config,'apikey') || getQ(config,'alldebrid') || getQ(config,'ad_apikey') || '';
  if (legacyAdParam && !providerConfig.alldebrid) {
  providerConfig.alldebrid = legacyAdParam;
  }
@@ -1948,10 +1960,17 @@ function startServer(port = PORT) {
  console.log(`[${requestId}] [LOCKED] SECURE MODE: Only user-provided API keys allowed, no environment fallbacks`);
  }
  
- // EMERGENCY DEBRID DISABLE: Server-wide debrid shutdown capability
- if (EMERGENCY_DISABLE_DEBRID) {
+ // DEBRID KILL SWITCHES: server-wide `debrid` flag and per-provider `provider.*` flags (checked per request)
+ if (!featureFlags.isEnabled('debrid')) {
  log('[ALERT] EMERGENCY: All debrid features disabled server-wide');
  Object.keys(providerConfig).forEach(key => providerConfig[key] = ''); // Force no debrid for ALL users
+ } else {
+ Object.keys(providerConfig).forEach(key => {
+ if (providerConfig[key] && !featureFlags.isProviderEnabled(key)) {
+ log(`[WARN] ${getProviderDisplayName(key)} disabled by feature flag - skipping`);
+ providerConfig[key] = '';
+ }
+ });
  }
  
  // PERFORMANCE OPTIMIZATION: Skip API key validation during stream requests
@@ -1963,12 +1982,11 @@ function startServer(port = PORT) {
  .map(([key, token]) => ({ key, provider: getProvider(key), token }));
  
  // Check cache first - if key was validated recently, trust it
- const validators = { validateAllDebridKey, validateDebridKey };
  let workingProviders = [];
  
  for (const pv of providersToValidate) {
  // Check if this key is in the validation cache (valid for 30 min)
- const cacheKey = pv.key === 'alldebrid' || pv.key === 'ad' ? pv.token : `${pv.key}:${pv.token}`;
+ const cacheKey = `${pv.key}:${pv.token}`;
  const cached = adKeyValidationCache.get(cacheKey);
  
  if (cached && cached.isValid && (Date.now() - cached.timestamp) < 30 * 60 * 1000) {
@@ -1977,12 +1995,12 @@ function startServer(port = PORT) {
  console.log(`[${requestId}] [PERF] Using cached validation for ${pv.provider} (no API call)`);
  } else if (!cached || (Date.now() - cached.timestamp) >= 30 * 60 * 1000) {
  // Cache miss or expired - need to validate (this updates the cache)
- workingProviders = await validateProvidersParallel(providersToValidate, validators);
+ workingProviders = await validateProvidersParallel(providersToValidate, adKeyValidationCache);
  break; // validateProvidersParallel handles all at once
  }
  }
  
- // Use the first working provider as primary
+ // Use the first working provider as primary; the others are /play failover targets
  const primaryProvider = workingProviders.length > 0 ? workingProviders[0] : null;
  const effectiveDebridProvider = primaryProvider ? primaryProvider.key : '';
  const effectiveDebridToken = primaryProvider ? primaryProvider.token : '';
@@ -1995,6 +2013,71 @@ function startServer(port = PORT) {
  // Step 1: Score streams without converting to debrid yet
  combined = sortByOriginPriority(combined, { labelOrigin: false });
  
+ // Step 1.25: Ask the debrid provider which top torrents are already cached
+ // Scoring gives cached torrents a strong bonus so users don't sit in /play polling
+ if (hasDebridConfigured) {
+ // Candidates by score (without the cached bonus), not by source order, so quality picks are the ones checked
+ const preScoringOptions = { preferredLanguages, maxSizeBytes, conservativeCookie: conserveCookie, blacklistTerms };
+ const candidateHashes = [...new Set(combined
+ .filter(s => s && s.infoHash && isTorrentSource(s))
+ .map(s => ({ hash: s.infoHash.toLowerCase(), score: scoring.computeStreamScore(s, req, preScoringOptions).score }))
+ .sort((a, b) => b.score - a.score)
+ .map(({ hash }) => hash))]
+ .slice(0, INSTANT_AVAILABILITY_MAX_HASHES * INSTANT_AVAILABILITY_MAX_BATCHES);
+ 
+ // null = cache state unknown (no availability API, e.g. Real-Debrid/Put.io, or every check failed)
+ let cachedHashes = {};
+ const checkedHashes = new Set(); // Hashes the provider actually answered for
+ if (candidateHashes.length > 0) {
+ const batches = [];
+ for (let i = 0; i < candidateHashes.length; i += INSTANT_AVAILABILITY_MAX_HASHES) {
+ batches.push(candidateHashes.slice(i, i + INSTANT_AVAILABILITY_MAX_HASHES));
+ }
+ const answers = await Promise.all(batches.map(batch => checkInstantAvailability(primaryProvider.key, primaryProvider.token, batch)));
+ answers.forEach((answer, i) => { if (answer) batches[i].forEach(hash => checkedHashes.add(hash)); });
+ cachedHashes = answers.some(Boolean) ? Object.assign({}, ...answers.filter(Boolean)) : null;
+ if (cachedHashes === null) {
+ log(`[WARN] ${primaryProvider.provider.name} instant availability unknown (unsupported or check failed)`);
+ } else {
+ let cachedCount = 0;
+ combined.forEach(s => {
+ if (s && s.infoHash && cachedHashes[s.infoHash.toLowerCase()]) {
+ s._debridCached = true;
+ cachedCount++;
+ }
+ });
+ log(`[CACHE] ${primaryProvider.provider.name} instant availability: ${cachedCount} cached stream(s) among ${checkedHashes.size} checked`);
+ }
+ }
+ 
+ // CACHED-ONLY MODE: drop the torrents the provider reported as not cached
+ // Only when the check actually answered - an unknown cache state must not hide every torrent,
+ // and torrents beyond the checked candidates (or in a failed batch) stay since their state is unknown too
+ if (cachedOnlyEnabled && cachedHashes === null) {
+ log(`[WARN] Cached-only mode skipped: ${primaryProvider.provider.name} cache state unknown, showing all streams`);
+ } else if (cachedOnlyEnabled) {
+ const beforeCount = combined.length;
+ const isUncached = s => s.infoHash && isTorrentSource(s) && !s._debridCached && checkedHashes.has(s.infoHash.toLowerCase());
+ const unchecked = combined.filter(s => s && s.infoHash && isTorrentSource(s) && !checkedHashes.has(s.infoHash.toLowerCase())).length;
+ combined = combined.filter(s => s && !isUncached(s));
+ log(`[CACHE] Cached-only mode: ${beforeCount} → ${combined.length} streams (dropped ${beforeCount - combined.length} uncached torrents, kept ${unchecked} unchecked)`);
+ 
+ if (combined.length === 0) {
+ log(`[WARN] No cached streams on ${primaryProvider.provider.name}`);
+ writeJson(res, { streams: [buildNoStreamsMessage(`No cached streams found on ${primaryProvider.provider.name} for this content. Cached-only mode is on, so uncached torrents are hidden:\n• Turn off "Cached Streams Only" to see torrents that need downloading first\n• Or check back later once someone has cached it`)] });
+ return;
+ }
+ }
+ }
+
+ // Step 1.3: Merge the same release found by several sources (infoHash, or filename + size)
+ // Runs after instant availability so a cached copy's flag carries over to the merged candidate
+ const dedup = dedupeStreams(combined);
+ if (dedup.merged > 0) {
+ log(`[STATS] Dedup: ${combined.length} → ${dedup.streams.length} streams (merged ${dedup.merged} cross-source duplicates)`);
+ combined = dedup.streams;
+ }
+
  // Step 1.5: Preserve original magnet URLs for seeder validation
  combined.forEach(s => {
  if (s && (s.url || s.externalUrl)) {
@@ -2050,7 +2133,7 @@ function startServer(port = PORT) {
  const isMagnetish = (!isHttp) && (!!s.infoHash || /^magnet:/i.test(String(s.url||'')));
  
  // Only convert torrents (not nuvio streams) to debrid
- if ((s.autostreamOrigin === 'torrentio' || s.autostreamOrigin === 'tpb') && (s.infoHash || isMagnetish)) {
+ if (isTorrentSource(s) && (s.infoHash || isMagnetish)) {
  s._debrid = true; 
  s._isDebrid = true;
  
@@ -2069,6 +2152,7 @@ function startServer(port = PORT) {
  origin: originBase, 
  ad: effectiveAdParam,
  provider: effectiveDebridProvider,
+ providers: workingProviders, // Ordered failover list for /play
  token: effectiveDebridToken
  });
  
@@ -2213,14 +2297,14 @@ function startServer(port = PORT) {
  const additionalStreams = [];
  
  if (secondBest) {
- // Process 2nd best stream - mark Comet as debrid (they're already resolved)
- if (hasDebridConfigured && secondBest.autostreamOrigin === 'comet') {
+ // Process 2nd best stream - mark Comet/MediaFusion as debrid (they're already resolved)
+ if (hasDebridConfigured && (secondBest.autostreamOrigin === 'comet' || secondBest.autostreamOrigin === 'mediafusion')) {
  secondBest._debrid = true;
  secondBest._isDebrid = true;
  }
  
  // Process torrent 2nd best streams
- if (hasDebridConfigured && (secondBest.autostreamOrigin === 'torrentio' || secondBest.autostreamOrigin === 'tpb') && secondBest.infoHash) {
+ if (hasDebridConfigured && isTorrentSource(secondBest) && secondBest.infoHash) {
  secondBest._debrid = true;
  secondBest._isDebrid = true;
  
@@ -2238,6 +2322,7 @@ function startServer(port = PORT) {
  origin: originBase, 
  ad: effectiveAdParam,
  provider: effectiveDebridProvider,
+ providers: workingProviders, // Ordered failover list for /play
  token: effectiveDebridToken
  });
  
@@ -2257,14 +2342,14 @@ function startServer(port = PORT) {
  }
  
  if (backupStream) {
- // Process backup stream - mark Comet as debrid (they're already resolved)
- if (hasDebridConfigured && backupStream.autostreamOrigin === 'comet') {
+ // Process backup stream - mark Comet/MediaFusion as debrid (they're already resolved)
+ if (hasDebridConfigured && (backupStream.autostreamOrigin === 'comet' || backupStream.autostreamOrigin === 'mediafusion')) {
  backupStream._debrid = true;
  backupStream._isDebrid = true;
  }
  
  // Process torrent backup streams
- if (hasDebridConfigured && (backupStream.autostreamOrigin === 'torrentio' || backupStream.autostreamOrigin === 'tpb') && backupStream.infoHash) {
+ if (hasDebridConfigured && isTorrentSource(backupStream) && backupStream.infoHash) {
  backupStream._debrid = true;
  backupStream._isDebrid = true;
  
@@ -2282,6 +2367,7 @@ function startServer(port = PORT) {
  origin: originBase, 
  ad: effectiveAdParam,
  provider: effectiveDebridProvider,
+ providers: workingProviders, // Ordered failover list for /play
  token: effectiveDebridToken
  });
  
@@ -2311,7 +2397,7 @@ function startServer(port = PORT) {
  // Streams are already limited by streamLimit logic above
 
  // Step 6: Background preload next episode for series
- if (seriesCache.shouldPreloadNext(type, id)) {
+ if (featureFlags.isEnabled('preload') && seriesCache.shouldPreloadNext(type, id)) {
  // Capture current context for preload
  const preloadReq = req;
  const preloadScoringOptions = { ...scoringOptions };
@@ -2319,24 +2405,12 @@ function startServer(port = PORT) {
  // Don't await this - let it happen in background
  seriesCache.preloadNextEpisode(type, id, async (t, i) => {
  try {
- // Use Promise.allSettled for resilient background preloading
- const [nextTorrResult, nextTPBResult, nextNuvioResult, nextCometResult] = await Promise.allSettled([
- (!onlySource || onlySource === 'torrentio') ? fetchTorrentioStreams(t, i, {}, ()=>{}) : Promise.resolve([]),
- (!onlySource || onlySource === 'tpb') ? fetchTPBStreams(t, i, {}, ()=>{}) : Promise.resolve([]),
- nuvioEnabled ? fetchNuvioStreams(t, i, { query: { direct: '1' }, cookie: nuvioCookie }, ()=>{}) : Promise.resolve([]),
- (!onlySource || onlySource === 'comet') ? fetchCometStreams(t, i, cometMfOptions, ()=>{}) : Promise.resolve([])
- ]);
-
- const nextTorr = nextTorrResult.status === 'fulfilled' ? (nextTorrResult.value || []) : [];
- const nextTPB = nextTPBResult.status === 'fulfilled' ? (nextTPBResult.value || []) : [];
- const nextNuvio = nextNuvioResult.status === 'fulfilled' ? (nextNuvioResult.value || []) : [];
- const nextComet = nextCometResult.status === 'fulfilled' ? (nextCometResult.value || []) : [];
-
- let rawStreams = [].concat(
- tag(nextTorr, 'torrentio'),
- tag(nextTPB, 'tpb'), 
- tag(nextNuvio, 'nuvio'),
- rawStreams = sortByOriginPriority(rawStreams, { labelOrigin: false }));
+ // Same sources as this request; failures are tolerated by fetchFromSources
+ const nextResults = await sourceRegistry.fetchFromSources(activeSources, t, i, sourceCtx, ()=>{}, {
+ onResult: (source, streams) => torrentIndex.recordStreams(i, streams, source.origin)
+ });
+ let rawStreams = nextResults.flatMap(({ source, streams }) => tag(streams, source));
+ rawStreams = sortByOriginPriority(rawStreams, { labelOrigin: false });
  const allScoredStreams = scoring.filterAndScoreStreams(rawStreams, preloadReq, preloadScoringOptions);
  const processedStreams = allScoredStreams.slice(0, 2); // Always process both for preload
  
@@ -2422,6 +2496,9 @@ function startServer(port = PORT) {
  s._beautifiedTitle = titleWithYear;
  s.title = titleWithYear;
  s.description = titleWithYear; // Only the beautified title, no technical details
+ if (s._debridCached) {
+  s.description += '\n⚡ Cached'; // Instant playback on the user's debrid
+ }
  }
  });
 
@@ -2432,6 +2509,12 @@ function startServer(port = PORT) {
  if (hasPenalties) {
  cacheTime = 300; // 5 minutes with penalties
  }
+ 
+ // Sources we didn't wait for will have results soon - don't let Stremio hold on to this answer for an hour
+ // (same when the answer came from the local index only: live sources may be back soon)
+ if (pendingSources.length > 0 || (fetchedStreams.length === 0 && indexStreams.length > 0)) {
+ cacheTime = Math.min(cacheTime, 300);
+ }
 
  // CRITICAL: Clean up internal properties before sending to Stremio
  // Stremio may ignore or fail on streams with unknown properties
@@ -2473,6 +2556,9 @@ function startServer(port = PORT) {
  
  res.setHeader('Cache-Control', `max-age=${cacheTime}`);
  writeJson(res, { streams: cleanedStreams });
+
+ // Per-provider Nuvio reliability: check the links just served (background, rate-limited per provider)
+ nuvioProviders.checkServedStreams(streams);
  
  log(`[OK] [${requestId}] ===== STREAM REQUEST COMPLETE =====\n`);
  
@@ -2503,9 +2589,23 @@ function startServer(port = PORT) {
  // Setup self-ping to keep Render instance alive
  setupSelfPing();
  });
+ setupShutdown(server);
  return server;
 }
 
+// Shutdown: write debounced saves that must not be lost (config profiles) before the process goes away
+function setupShutdown(server) {
+ process.on('exit', () => profileStore.flush());
+ for (const signal of ['SIGINT', 'SIGTERM']) {
+ process.once(signal, () => {
+ console.log(`[SHUTDOWN] ${signal} received - saving pending config profiles`);
+ server.close();
+ profileStore.flush();
+ process.exit(0);
+ });
+ }
+}
+
 // Self-ping mechanism to keep Render instance alive (like HentaiStream)
 function setupSelfPing() {
  // Only enable in production (Render)
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * configToken.js
+ *
+ * Encrypted, authenticated config tokens so debrid keys never travel in the clear
+ * - A token is AES-256-GCM over the JSON config: "c1.<base64url(iv | tag | ciphertext)>"
+ * - Used as the path segment of /{token}/manifest.json and /{token}/stream/... and as /play's cfg param
+ * - Tampered or foreign tokens fail authentication and decode to null
+ * - The key comes from CONFIG_TOKEN_SECRET, else data/config-token.key (created on first start)
+ *   It is never rotated: installed addons keep their token for as long as they stay installed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File path for persistence
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const KEY_FILE = path.join(DATA_DIR, 'config-token.key');
+
+const TOKEN_PREFIX = 'c1.';
+const TOKEN_RE = /^c1\.[A-Za-z0-9_-]{40,}$/;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let key = null;
+
+/**
+ * Load the encryption key on startup
+ */
+function loadKey() {
+ const envSecret = process.env.CONFIG_TOKEN_SECRET || '';
+ if (envSecret) {
+ // Any string works; hash it to the 32 bytes AES-256 needs
+ key = crypto.createHash('sha256').update(envSecret).digest();
+ return;
+ }
+
+ try {
+ if (fs.existsSync(KEY_FILE)) {
+ const stored = Buffer.from(fs.readFileSync(KEY_FILE, 'utf-8').trim(), 'hex');
+ if (stored.length === 32) {
+ key = stored;
+ return;
+ }
+ console.warn('[WARN] Config token key file is malformed - generating a new key');
+ }
+ } catch (e) {
+ console.warn(`[WARN] Could not load config token key file: ${e.message}`);
+ }
+
+ key = crypto.randomBytes(32);
+ try {
+ if (!fs.existsSync(DATA_DIR)) {
+ fs.mkdirSync(DATA_DIR, { recursive: true });
+ }
+ fs.writeFileSync(KEY_FILE, key.toString('hex'), { mode: 0o600 });
+ console.log('[OK] Config token key created');
+ } catch (e) {
+ // Tokens still work until restart, then every installed addon needs reconfiguring
+ console.warn(`[WARN] Could not save config token key file: ${e.message}`);
+ }
+}
+
+/**
+ * Whether a string looks like a config token (not whether it decrypts)
+ */
+function isConfigToken(value) {
+ return typeof value === 'string' && TOKEN_RE.test(value);
+}
+
+/**
+ * Encrypt a config object into a URL-safe token
+ * @param {Object} config - Plain config (provider keys, preferences, ...)
+ * @returns {string} - "c1.<base64url>" token
+ */
+function encodeConfig(config) {
+ const iv = crypto.randomBytes(IV_LENGTH);
+ const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+ const ciphertext = Buffer.concat([cipher.update(JSON.stringify(config || {}), 'utf8'), cipher.final()]);
+ return TOKEN_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+/**
+ * Decrypt a token made by encodeConfig()
+ * @returns {Object|null} - The config, or null if the token is malformed, tampered or from another key
+ */
+function decodeConfig(token) {
+ if (!isConfigToken(token)) return null;
+
+ try {
+ const raw = Buffer.from(token.slice(TOKEN_PREFIX.length), 'base64url');
+ if (raw.length <= IV_LENGTH + TAG_LENGTH) return null;
+
+ const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, IV_LENGTH));
+ decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+ const plaintext = Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+
+ const config = JSON.parse(plaintext.toString('utf8'));
+ return config && typeof config === 'object' && !Array.isArray(config) ? config : null;
+ } catch (e) {
+ return null; // Authentication failure or corrupt payload
+ }
+}
+
+// Load key on module initialization
+loadKey();
+
+module.exports = {
+ encodeConfig,
+ decodeConfig,
+ isConfigToken
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * featureFlags.js
+ *
+ * Runtime feature flags and kill switches, editable through /admin/flags
+ * - Every flag has a built-in default; only admin overrides are persisted (data/feature-flags.json)
+ * - Read per request, so an upstream outage can be handled without a redeploy
+ * - Flags: debrid (global), source.<name>, provider.<debrid key>, preload, probing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getProviderKeys } = require('../core/debridProviders');
+const { getSources } = require('./sourceRegistry');
+
+// File path for persistence
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const FLAGS_FILE = path.join(DATA_DIR, 'feature-flags.json');
+
+// Built-in defaults (EMERGENCY_DISABLE_DEBRID still works as the boot-time default for `debrid`)
+const DEFAULT_FLAGS = {
+ debrid: process.env.EMERGENCY_DISABLE_DEBRID !== 'true',
+ ...Object.fromEntries(getSources().map(source => [`source.${source.id}`, source.defaultEnabled])),
+ ...Object.fromEntries(getProviderKeys().map(key => [`provider.${key}`, true])),
+ preload: true, // Background preload of the next episode
+ probing: false // Latency/throughput probes of top Nuvio streams (probing-helper)
+};
+
+// In-memory overrides: flag -> boolean
+const overrides = new Map();
+
+/**
+ * Load overrides from file on startup
+ */
+function loadFlags() {
+ try {
+ if (fs.existsSync(FLAGS_FILE)) {
+ const data = JSON.parse(fs.readFileSync(FLAGS_FILE, 'utf-8'));
+ for (const [name, enabled] of Object.entries(data)) {
+ if (name in DEFAULT_FLAGS && typeof enabled === 'boolean') overrides.set(name, enabled);
+ }
+ if (overrides.size > 0) {
+ console.log(` Loaded ${overrides.size} feature flag override(s) from file`);
+ }
+ }
+ } catch (e) {
+ console.warn(`[WARN] Could not load feature flags file: ${e.message}`);
+ }
+}
+
+/**
+ * Save overrides to file (immediately - flags change rarely)
+ */
+function saveFlags() {
+ try {
+ if (!fs.existsSync(DATA_DIR)) {
+ fs.mkdirSync(DATA_DIR, { recursive: true });
+ }
+
+ fs.writeFileSync(FLAGS_FILE, JSON.stringify(Object.fromEntries(overrides.entries()), null, 2));
+ } catch (e) {
+ console.warn(`[WARN] Could not save feature flags file: ${e.message}`);
+ }
+}
+
+function isKnownFlag(name) {
+ return Object.prototype.hasOwnProperty.call(DEFAULT_FLAGS, name);
+}
+
+/**
+ * Whether a flag is on (unknown flags are off)
+ */
+function isEnabled(name) {
+ if (overrides.has(name)) return overrides.get(name);
+ return isKnownFlag(name) ? DEFAULT_FLAGS[name] : false;
+}
+
+/**
+ * Whether a source may be queried (source.<name>)
+ */
+function isSourceEnabled(name) {
+ return isEnabled(`source.${name}`);
+}
+
+/**
+ * Whether a debrid provider may be used: global debrid switch and provider.<key>
+ */
+function isProviderEnabled(key) {
+ return isEnabled('debrid') && isEnabled(`provider.${key}`);
+}
+
+/**
+ * Override a flag
+ * @returns {boolean} - False for unknown flags
+ */
+function setFlag(name, enabled) {
+ if (!isKnownFlag(name)) return false;
+ overrides.set(name, !!enabled);
+ saveFlags();
+ console.log(`[CONFIG] Feature flag ${name} set to ${!!enabled}`);
+ return true;
+}
+
+/**
+ * Drop an override so the flag falls back to its default
+ * @returns {boolean} - False for unknown flags
+ */
+function resetFlag(name) {
+ if (!isKnownFlag(name)) return false;
+ if (overrides.delete(name)) {
+ saveFlags();
+ console.log(`[CONFIG] Feature flag ${name} reset to default (${DEFAULT_FLAGS[name]})`);
+ }
+ return true;
+}
+
+/**
+ * All flags with their effective value, default and whether an override is active
+ */
+function getFlags() {
+ return Object.keys(DEFAULT_FLAGS).map(name => ({
+ name,
+ enabled: isEnabled(name),
+ default: DEFAULT_FLAGS[name],
+ overridden: overrides.has(name)
+ }));
+}
+
+// Load overrides on module initialization
+loadFlags();
+
+module.exports = {
+ isEnabled,
+ isSourceEnabled,
+ isProviderEnabled,
+ setFlag,
+ resetFlag,
+ getFlags
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * nuvioProviders.js
+ *
+ * Nuvio aggregates several providers (ShowBox/FebBox, Xprime, VidZee, ...) behind one addon
+ * - Each Nuvio stream is tagged with the provider parsed from its name (_nuvioProvider)
+ * - Users can switch providers off (nuvio_exclude=showbox,vidzee)
+ * - Reliability is tracked per provider (same tracker as the sources) and scored per provider: after every stream
+ *   response, one served link per provider is checked in the background with its own headers (cookie included);
+ *   only providers that need a FebBox cookie get the no-cookie penalty
+ */
+
+const { SourceHealthTracker } = require('./sourceHealth');
+const { probeLatency } = require('./probes');
+
+// Known providers, matched against the stream name, then its title, then its URL
+// needsCookie: links only play with a personal (or shared) FebBox cookie
+const PROVIDERS = [
+ { id: 'showbox', name: 'ShowBox', pattern: /show\s*box|febbox|\bfbox\b/i, needsCookie: true },
+ { id: 'xprime', name: 'Xprime', pattern: /xprime/i },
+ { id: 'hollymoviehd', name: 'HollyMovieHD', pattern: /holly\s*movie/i },
+ { id: 'soapertv', name: 'SoaperTV', pattern: /soaper/i },
+ { id: 'vidzee', name: 'VidZee', pattern: /vid\s*zee/i },
+ { id: 'mp4hydra', name: 'MP4Hydra', pattern: /mp4\s*hydra/i },
+ { id: 'uhdmovies', name: 'UHDMovies', pattern: /uhd\s*movies/i },
+ { id: 'moviesmod', name: 'MoviesMod', pattern: /movies\s*mod/i },
+ { id: 'topmovies', name: 'TopMovies', pattern: /top\s*movies/i },
+ { id: 'dramadrip', name: 'DramaDrip', pattern: /drama\s*drip/i },
+ { id: '4khdhub', name: '4KHDHub', pattern: /4k\s*hd\s*hub/i },
+ { id: 'vixsrc', name: 'VixSrc', pattern: /vix\s*src/i },
+ { id: 'moviebox', name: 'MovieBox', pattern: /movie\s*box/i }
+];
+
+// Streams whose provider can't be told get the old whole-origin treatment (cookie penalty included)
+const UNKNOWN = { id: 'unknown', name: 'Nuvio', needsCookie: true };
+
+const MIN_SAMPLES = 3; // Probes needed before a provider's success rate counts
+const MAX_RELIABILITY_PENALTY = 200; // 0% success rate
+const OPEN_CIRCUIT_PENALTY = 300; // Provider failing every probe right now (still shown, just ranked low)
+const CHECK_INTERVAL = 5 * 60 * 1000; // Served links checked per provider at most this often
+const CHECK_TIMEOUT = 3000;
+
+const providerHealth = new SourceHealthTracker(undefined, 'Nuvio provider');
+const lastChecked = new Map(); // providerId -> last served-link check (known providers only, so bounded)
+
+function slug(value) {
+ return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Provider of a Nuvio stream
+ * Known providers by pattern; anything else is UNKNOWN (ids never come from free-text release names)
+ * @returns {{ id: string, name: string, needsCookie: boolean }}
+ */
+function getNuvioProvider(stream) {
+ if (!stream) return UNKNOWN;
+ const name = String(stream.name || '');
+ const title = String(stream.title || stream.description || '').split('\n')[0];
+ const url = String(stream.url || '');
+
+ for (const text of [name, title, url]) {
+ const known = PROVIDERS.find(p => p.pattern.test(text));
+ if (known) return { id: known.id, name: known.name, needsCookie: !!known.needsCookie };
+ }
+
+ return UNKNOWN;
+}
+
+/**
+ * Whether a Nuvio stream's provider needs a FebBox cookie to play
+ */
+function needsCookie(stream) {
+ const id = stream && stream._nuvioProvider ? stream._nuvioProvider : getNuvioProvider(stream).id;
+ if (id === UNKNOWN.id) return UNKNOWN.needsCookie;
+ const known = PROVIDERS.find(p => p.id === id);
+ return !!(known && known.needsCookie);
+}
+
+/**
+ * Parse the excluded provider list (nuvio_exclude=showbox,vidzee)
+ * @returns {Set<string>}
+ */
+function parseProviderList(value) {
+ return new Set(String(value || '').split(',').map(slug).filter(Boolean));
+}
+
+/**
+ * Drop streams from excluded providers
+ */
+function filterProviders(streams, excluded) {
+ if (!excluded || excluded.size === 0) return streams;
+ return (streams || []).filter(s => !excluded.has(s && s._nuvioProvider ? s._nuvioProvider : getNuvioProvider(s).id));
+}
+
+/**
+ * Record a probe of one of the provider's links
+ * @param {string} providerId - From getNuvioProvider()
+ * @param {Object} result - { status: HTTP status, 'timeout' or 'error', ms }
+ */
+function record(providerId, result) {
+ if (providerId && providerId !== UNKNOWN.id) providerHealth.record(providerId, result);
+}
+
+/**
+ * Whether a probe of this stream's link says anything about its provider
+ * (a cookie-gated link requested without a cookie fails for that user only)
+ */
+function isProbeable(stream, providerId) {
+ if (providerId === UNKNOWN.id || !stream || !/^https?:\/\//i.test(stream.url || '')) return false;
+ const headers = (stream.behaviorHints && stream.behaviorHints.proxyHeaders) || {};
+ return !needsCookie(stream) || !!headers.Cookie;
+}
+
+/**
+ * Check the Nuvio links a stream response just served, in the background (never delays the response)
+ * One link per provider every CHECK_INTERVAL, requested with the stream's proxyHeaders like the player would
+ */
+function checkServedStreams(streams) {
+ const now = Date.now();
+ const picked = new Map();
+ for (const s of streams || []) {
+ if (!s || s.autostreamOrigin !== 'nuvio') continue;
+ const id = s._nuvioProvider || getNuvioProvider(s).id;
+ if (picked.has(id) || now - (lastChecked.get(id) || 0) < CHECK_INTERVAL || !isProbeable(s, id)) continue;
+ picked.set(id, s);
+ }
+
+ for (const [id, s] of picked.entries()) {
+ lastChecked.set(id, now);
+ const headers = (s.behaviorHints && s.behaviorHints.proxyHeaders) || {};
+ const start = Date.now();
+ probeLatency(s.url, { timeoutMs: CHECK_TIMEOUT, headers })
+ .then(lat => record(id, {
+ // A dead link (404 included) is a provider failure here, unlike for source fetches
+ status: lat.ok ? lat.status : (lat.status ? `HTTP ${lat.status}` : 'timeout'),
+ ms: Date.now() - start
+ }))
+ .catch(() => {});
+ }
+}
+
+/**
+ * Reliability score of a provider: 0 until enough probes are in, down to -MAX_RELIABILITY_PENALTY by success rate
+ */
+function getReliabilityScore(providerId) {
+ if (!providerHealth.isAvailable(providerId)) {
+ return { score: -OPEN_CIRCUIT_PENALTY, reason: `nuvio_provider_failing(${providerId})` };
+ }
+ const health = providerHealth.getHealth(providerId);
+ if (!health || health.samples < MIN_SAMPLES || health.successRate === null) {
+ return { score: 0, reason: 'nuvio_provider_unrated' };
+ }
+ const score = -Math.round((1 - health.successRate) * MAX_RELIABILITY_PENALTY);
+ return { score, reason: `nuvio_provider_success(${providerId}:${health.successRate})` };
+}
+
+/**
+ * Per-provider health for diagnostics
+ */
+function getState() {
+ return {
+ known: PROVIDERS.map(p => ({ id: p.id, name: p.name, needsCookie: !!p.needsCookie })),
+ health: providerHealth.getState()
+ };
+}
+
+module.exports = {
+ getNuvioProvider,
+ needsCookie,
+ parseProviderList,
+ filterProviders,
+ record,
+ isProbeable,
+ checkServedStreams,
+ getReliabilityScore,
+ getState
+};
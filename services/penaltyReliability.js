@@ -224,6 +224,27 @@ class PenaltyReliability {
  return hadPenalty;
  }
 
+ /**
+ * Set penalty for a host directly (manual override, capped at MAX_PENALTY)
+ * @returns {number|null} - The stored penalty, or null for an invalid host/value
+ */
+ setPenalty(hostname, points) {
+ const host = String(hostname || '').trim().toLowerCase();
+ const penalty = Number(points);
+ if (!host || !Number.isFinite(penalty)) return null;
+
+ const newPenalty = Math.min(Math.max(0, Math.round(penalty)), MAX_PENALTY);
+ if (newPenalty === 0) {
+ hostPenalties.delete(host);
+ } else {
+ hostPenalties.set(host, newPenalty);
+ }
+
+ savePenalties(); // Persist to file
+ console.log(`[CONFIG] Penalty for ${host} set to ${newPenalty}`);
+ return newPenalty;
+ }
+
  /**
  * Clear all penalties (reset system)
  */
@@ -286,6 +307,7 @@ module.exports = {
  isCooling: (url) => penaltyReliability.isCooling(url), // Compatibility
  getState: () => penaltyReliability.getState(),
  clearPenalty: (url) => penaltyReliability.clearPenalty(url),
+ setPenalty: (hostname, points) => penaltyReliability.setPenalty(hostname, points),
  clearAllPenalties: () => penaltyReliability.clearAllPenalties(),
  
  // For direct access to the class if needed
@@ -10,19 +10,19 @@ async function withTimeout(promiseFactory, ms) {
  }
 }
 
-async function headOnce(url, { timeoutMs = 900 } = {}) {
+async function headOnce(url, { timeoutMs = 900, headers = {} } = {}) {
  try {
- const res = await withTimeout((signal) => fetch(url, { method: 'HEAD', redirect: 'manual', signal }), timeoutMs);
+ const res = await withTimeout((signal) => fetch(url, { method: 'HEAD', headers, redirect: 'manual', signal }), timeoutMs);
  return res;
  } catch { return null; }
 }
 
-async function rangeOnce(url, { timeoutMs = 1200, start = 0, bytes = 1 } = {}) {
+async function rangeOnce(url, { timeoutMs = 1200, start = 0, bytes = 1, headers = {} } = {}) {
  try {
  const end = start + Math.max(0, bytes - 1);
  const res = await withTimeout((signal) => fetch(url, {
  method: 'GET',
- headers: { 'Range': `bytes=${start}-${end}` },
+ headers: { ...headers, 'Range': `bytes=${start}-${end}` },
  redirect: 'manual',
  signal
  }), timeoutMs);
@@ -30,23 +30,24 @@ async function rangeOnce(url, { timeoutMs = 1200, start = 0, bytes = 1 } = {}) {
  } catch { return null; }
 }
 
-async function probeLatency(url, { timeoutMs = 900 } = {}) {
+// headers: the stream's proxyHeaders (e.g. the FebBox cookie) - cookie-gated links fail without them
+async function probeLatency(url, { timeoutMs = 900, headers = {} } = {}) {
  const t0 = Date.now();
- const res = await headOnce(url, { timeoutMs });
+ const res = await headOnce(url, { timeoutMs, headers });
  if (res && res.status >= 200 && res.status < 400) {
  return { ok: true, status: res.status, latencyMs: Math.max(1, Date.now() - t0) };
  }
  const t1 = Date.now();
- const r2 = await rangeOnce(url, { timeoutMs, bytes: 1 });
+ const r2 = await rangeOnce(url, { timeoutMs, bytes: 1, headers });
  if (r2 && r2.status >= 200 && r2.status < 400) {
  return { ok: true, status: r2.status, latencyMs: Math.max(1, Date.now() - t1) };
  }
  return { ok: false, status: (res && res.status) || (r2 && r2.status) || 0, latencyMs: 0 };
 }
 
-async function probeThroughput(url, { timeoutMs = 1200, bytes = 512 * 1024 } = {}) {
+async function probeThroughput(url, { timeoutMs = 1200, bytes = 512 * 1024, headers = {} } = {}) {
  const t0 = Date.now();
- const res = await rangeOnce(url, { timeoutMs, start: 0, bytes });
+ const res = await rangeOnce(url, { timeoutMs, start: 0, bytes, headers });
  if (!res || !(res.status >= 200 && res.status < 400)) {
  return { ok: false, status: res ? res.status : 0, throughputMBps: 0 };
  }
@@ -2,24 +2,37 @@
 'use strict';
 
 const { probeLatency, probeThroughput } = require('./probes');
+const nuvioProviders = require('./nuvioProviders');
+const featureFlags = require('./featureFlags');
 
 /**
  * annotateNuvioProbes(list, { budgetMs, log })
  * Adds _latencyMs + _mbps to top few Nuvio streams within a total time budget.
+ * Each latency probe also counts toward its Nuvio provider's reliability.
+ * No-op unless the `probing` feature flag is on.
  */
 async function annotateNuvioProbes(list, { budgetMs = 1500, log = ()=>{} } = {}) {
+ if (!featureFlags.isEnabled('probing')) return;
  if (!Array.isArray(list) || !list.length) return;
  const nuvioTop = list.filter(s => s && s.autostreamOrigin === 'nuvio' && /^https?:/i.test(s.url)).slice(0, 5);
  const t0 = Date.now();
  for (const s of nuvioTop) {
  if (Date.now() - t0 > budgetMs) break;
  try {
- const lat = await probeLatency(s.url, { timeoutMs: 900 });
+ const headers = (s.behaviorHints && s.behaviorHints.proxyHeaders) || {};
+ const probeStart = Date.now();
+ const lat = await probeLatency(s.url, { timeoutMs: 900, headers });
  s._latencyMs = lat && lat.ok ? lat.latencyMs : 999999;
+ if (nuvioProviders.isProbeable(s, s._nuvioProvider)) {
+ // A dead link (404 included) is a provider failure here, unlike for source fetches
+ nuvioProviders.record(s._nuvioProvider, {
+ status: lat && lat.ok ? lat.status : (lat && lat.status ? `HTTP ${lat.status}` : 'timeout'),
+ ms: Date.now() - probeStart
+ });
+ }
 
- const hasCookie = !!(s.behaviorHints && s.behaviorHints.proxyHeaders && s.behaviorHints.proxyHeaders.Cookie);
- if (hasCookie && (Date.now() - t0) < budgetMs - 400) {
- const thr = await probeThroughput(s.url, { timeoutMs: 1200, bytes: 512 * 1024 });
+ if (headers.Cookie && (Date.now() - t0) < budgetMs - 400) {
+ const thr = await probeThroughput(s.url, { timeoutMs: 1200, bytes: 512 * 1024, headers });
  s._mbps = thr && thr.ok ? thr.throughputMBps : 0;
  }
  } catch (e) {
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * profileStore.js
+ *
+ * Server-side config profiles behind short install URLs: /u/{profileId}/manifest.json
+ * - Profiles live in data/profiles.json so installs survive restarts and redeploys
+ * - The config itself is stored as an encrypted config token (debrid keys are never on disk in the clear)
+ * - IDs are short and avoid look-alike characters so they can be typed on a TV remote
+ * - Creating a profile returns an edit key; only its hash is stored, and it is required to update the profile
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const configToken = require('./configToken');
+
+// File path for persistence
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const PROFILES_FILE = path.join(DATA_DIR, 'profiles.json');
+
+// Configuration
+const ID_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // No 0/o, 1/l/i
+const ID_LENGTH = 8;
+const ID_RE = new RegExp(`^[${ID_ALPHABET}]{${ID_LENGTH}}$`);
+const MAX_PROFILES = parseInt(process.env.MAX_PROFILES, 10) || 50000;
+const SAVE_DEBOUNCE = 2000; // Batch bursts of creates into one write; flush() on shutdown so none are lost
+
+// In-memory profile storage: id -> { config (token), editKeyHash, createdAt, updatedAt }
+const profiles = new Map();
+let saveTimer = null;
+
+function hashEditKey(editKey) {
+ return crypto.createHash('sha256').update(String(editKey || '')).digest('hex');
+}
+
+function newProfileId() {
+ const bytes = crypto.randomBytes(ID_LENGTH);
+ let id = '';
+ for (let i = 0; i < ID_LENGTH; i++) id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
+ return id;
+}
+
+/**
+ * Load profiles from file on startup
+ */
+function loadProfiles() {
+ try {
+ if (fs.existsSync(PROFILES_FILE)) {
+ const data = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf-8'));
+ for (const [id, profile] of Object.entries(data)) {
+ if (ID_RE.test(id) && profile && profile.config && profile.editKeyHash) profiles.set(id, profile);
+ }
+ if (profiles.size > 0) {
+ console.log(` Loaded ${profiles.size} config profiles from file`);
+ }
+ }
+ } catch (e) {
+ console.warn(`[WARN] Could not load profiles file: ${e.message}`);
+ }
+}
+
+/**
+ * Write profiles to file (temp file + rename so a crash mid-write never truncates it)
+ */
+function writeProfiles() {
+ if (saveTimer) {
+ clearTimeout(saveTimer);
+ saveTimer = null;
+ }
+ try {
+ if (!fs.existsSync(DATA_DIR)) {
+ fs.mkdirSync(DATA_DIR, { recursive: true });
+ }
+
+ const tmpFile = `${PROFILES_FILE}.tmp`;
+ fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(profiles.entries())), { mode: 0o600 });
+ fs.renameSync(tmpFile, PROFILES_FILE);
+ } catch (e) {
+ console.warn(`[WARN] Could not save profiles file: ${e.message}`);
+ }
+}
+
+/**
+ * Write a pending save now (the server calls this on shutdown)
+ */
+function flush() {
+ if (saveTimer) writeProfiles();
+}
+
+/**
+ * Save profiles to file (debounced)
+ */
+function saveProfiles() {
+ if (saveTimer) return;
+ saveTimer = setTimeout(writeProfiles, SAVE_DEBOUNCE);
+ saveTimer.unref();
+}
+
+/**
+ * Create a profile
+ * @param {Object} config - Parsed config params (same shape as parsePathConfiguration output)
+ * @returns {{ id: string, editKey: string }|null} - null when the store is full
+ */
+function createProfile(config) {
+ if (profiles.size >= MAX_PROFILES) {
+ console.warn(`[WARN] Profile store full (${MAX_PROFILES}) - refusing new profile`);
+ return null;
+ }
+
+ let id = newProfileId();
+ while (profiles.has(id)) id = newProfileId();
+ const editKey = crypto.randomBytes(18).toString('base64url');
+ const now = Date.now();
+
+ profiles.set(id, { config: configToken.encodeConfig(config), editKeyHash: hashEditKey(editKey), createdAt: now, updatedAt: now });
+ saveProfiles();
+ return { id, editKey };
+}
+
+/**
+ * Replace a profile's config
+ * @returns {string} - 'ok', 'not_found' or 'forbidden'
+ */
+function updateProfile(id, editKey, config) {
+ const profile = isProfileId(id) && profiles.get(id);
+ if (!profile) return 'not_found';
+
+ const expected = Buffer.from(profile.editKeyHash, 'hex');
+ const given = Buffer.from(hashEditKey(editKey), 'hex');
+ if (!editKey || !crypto.timingSafeEqual(expected, given)) return 'forbidden';
+
+ profile.config = configToken.encodeConfig(config);
+ profile.updatedAt = Date.now();
+ saveProfiles();
+ return 'ok';
+}
+
+/**
+ * Resolve a profile to its config params
+ * @returns {Object|null} - Config params, or null for unknown profiles
+ */
+function getProfileConfig(id) {
+ const profile = isProfileId(id) && profiles.get(id);
+ if (!profile) return null;
+ return configToken.decodeConfig(profile.config);
+}
+
+function isProfileId(id) {
+ return typeof id === 'string' && ID_RE.test(id);
+}
+
+/**
+ * Store metadata for diagnostics (never includes configs)
+ */
+function getState() {
+ return { profiles: profiles.size, maxProfiles: MAX_PROFILES };
+}
+
+// Load profiles on module initialization
+loadProfiles();
+
+module.exports = {
+ createProfile,
+ updateProfile,
+ getProfileConfig,
+ isProfileId,
+ getState,
+ flush
+};
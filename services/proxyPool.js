@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * proxyPool.js
+ *
+ * Cloudflare Worker proxies for upstreams that block cloud IPs (Torrentio, TPB, Nuvio)
+ * - CF_PROXY_URLS lists several proxies with weights; CF_PROXY_URL (one proxy) still works
+ * - Each request tries the proxies in weighted random order, rotating to the next one on 403/429/5xx or a
+ *   network error, then goes direct (unless CF_PROXY_DIRECT_FALLBACK=false)
+ * - Per-proxy health uses the same tracker as the sources: a proxy that keeps failing (quota hit, blocked)
+ *   has its circuit opened and is left out of the rotation until its cool-down is over; an upstream error it
+ *   only passed through (Torrentio down) is not held against it
+ */
+
+const { CF_PROXY_URL, CF_PROXY_URLS, CF_PROXY_DIRECT_FALLBACK } = require('../constants');
+const { SourceHealthTracker, isFailureStatus } = require('./sourceHealth');
+
+const MAX_WEIGHT = 100;
+
+// Statuses that come from the proxy itself: its egress blocked or throttled, or a Cloudflare/worker error
+const PROXY_FAILURE_STATUSES = new Set([403, 429, 502, 520, 521, 522, 523, 524, 525, 526, 527, 530]);
+
+// Going straight to the upstream (also the only route when no proxy is configured)
+const DIRECT = { id: 'direct', url: null, weight: 0, wrap: (url) => url };
+
+/**
+ * Parse the proxy list: "https://a.workers.dev|3,https://b.workers.dev" (weight defaults to 1)
+ * @returns {Array<{ id, url, weight, wrap }>}
+ */
+function parseProxyList(value) {
+ const proxies = [];
+ for (const entry of String(value || '').split(',')) {
+ const [rawUrl, rawWeight] = entry.trim().split('|');
+ let parsed;
+ try { parsed = new URL(rawUrl); } catch (e) { continue; }
+ if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') continue;
+
+ const weight = rawWeight === undefined ? 1 : Math.min(MAX_WEIGHT, parseFloat(rawWeight));
+ if (!(weight > 0)) {
+ console.warn(`[WARN] Ignoring proxy ${parsed.host} with invalid weight "${rawWeight}"`);
+ continue;
+ }
+ const url = parsed.href;
+ const id = proxies.some(p => p.id === parsed.host) ? `${parsed.host}#${proxies.length + 1}` : parsed.host;
+ proxies.push({ id, url, weight, wrap: (target) => `${url}${url.includes('?') ? '&' : '?'}url=${encodeURIComponent(target)}` });
+ }
+ return proxies;
+}
+
+const proxies = parseProxyList(CF_PROXY_URLS || CF_PROXY_URL);
+const proxyHealth = new SourceHealthTracker(undefined, 'Proxy');
+
+/**
+ * Routes to try for one proxied request, in order
+ * Available proxies in weighted random order (a heavier proxy is more likely to go first), then direct.
+ * If every proxy's circuit is open and direct fallback is off, all proxies are tried anyway.
+ */
+function getRoutes() {
+ if (proxies.length === 0) return [DIRECT];
+
+ const available = proxies.filter(p => proxyHealth.isAvailable(p.id));
+ const pool = available.length > 0 || CF_PROXY_DIRECT_FALLBACK ? available : proxies;
+ // Weighted shuffle: sort by random^(1/weight)
+ const ordered = pool
+ .map(p => ({ p, key: Math.pow(Math.random(), 1 / p.weight) }))
+ .sort((a, b) => b.key - a.key)
+ .map(({ p }) => p);
+ return CF_PROXY_DIRECT_FALLBACK ? [...ordered, DIRECT] : ordered;
+}
+
+/**
+ * Record one attempt through a route
+ * @param {Object} route - From getRoutes()
+ * @param {Object} result - { status: HTTP status, 'timeout' or 'error', ms }
+ */
+function record(route, result) {
+ if (route && route !== DIRECT) proxyHealth.record(route.id, { ...result, ok: !isProxyFailure(result.status) });
+}
+
+/**
+ * Whether an attempt failed because of the proxy (network error, timeout or a proxy-originated status)
+ */
+function isProxyFailure(status) {
+ return typeof status !== 'number' || PROXY_FAILURE_STATUSES.has(status);
+}
+
+/**
+ * Whether a response means "try the next route" (blocked, throttled or broken proxy/upstream)
+ */
+function shouldRotate(status) {
+ return isFailureStatus(status);
+}
+
+/**
+ * Per-proxy state for diagnostics (proxy URLs are shown without their query string - it may hold a key)
+ */
+function getState() {
+ const health = proxyHealth.getState();
+ return {
+ directFallback: CF_PROXY_DIRECT_FALLBACK,
+ proxies: proxies.map(p => {
+ const { origin, pathname } = new URL(p.url);
+ return { id: p.id, url: `${origin}${pathname}`, weight: p.weight, available: proxyHealth.isAvailable(p.id), ...(health[p.id] || { samples: 0, circuit: 'closed' }) };
+ })
+ };
+}
+
+module.exports = {
+ DIRECT,
+ getRoutes,
+ record,
+ shouldRotate,
+ getState,
+ isEnabled: () => proxies.length > 0
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * signingKeys.js
+ *
+ * Persistent, rotatable HMAC keys for /play URL signatures
+ * - Keys live in data/signing-keys.json so play links survive restarts and redeploys
+ * - Every signature carries its key ID and an expiry: "<kid>.<exp>.<mac>"
+ * - Rotation retires the current key; retired keys keep verifying for a grace period
+ *   (at least the signature lifetime) so links handed out before rotation still play
+ * - PLAY_URL_SECRET, when set, seeds a fixed key instead of the file store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File path for persistence
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const KEYS_FILE = path.join(DATA_DIR, 'signing-keys.json');
+
+// Configuration
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SIGNATURE_TTL_MS = (parseInt(process.env.PLAY_SIG_TTL_DAYS, 10) || 7) * DAY_MS; // How long a play link stays valid
+const ROTATE_AFTER_MS = (parseInt(process.env.PLAY_KEY_ROTATE_DAYS, 10) || 30) * DAY_MS; // Age before a key is rotated automatically
+const GRACE_MS = Math.max(SIGNATURE_TTL_MS, (parseInt(process.env.PLAY_KEY_GRACE_DAYS, 10) || 0) * DAY_MS); // Retired keys keep verifying this long
+const MAC_LENGTH = 16; // Truncated base64url HMAC for URL brevity
+
+// In-memory key storage: id -> { id, secret, createdAt, retiredAt }
+const keys = new Map();
+let currentKeyId = null;
+
+// Fixed key from the environment (no file, no rotation)
+const envSecret = process.env.PLAY_URL_SECRET || '';
+
+function newKeyId() {
+ return crypto.randomBytes(4).toString('hex');
+}
+
+function hmac(secret, data) {
+ return crypto.createHmac('sha256', secret).update(data).digest('base64url').substring(0, MAC_LENGTH);
+}
+
+/**
+ * Load keys from file on startup
+ */
+function loadKeys() {
+ if (envSecret) {
+ // Stable ID derived from the secret so links stay valid across instances sharing it
+ const id = 'e' + crypto.createHash('sha256').update(envSecret).digest('hex').substring(0, 7);
+ keys.set(id, { id, secret: envSecret, createdAt: 0, retiredAt: null });
+ currentKeyId = id;
+ return;
+ }
+
+ try {
+ if (fs.existsSync(KEYS_FILE)) {
+ const data = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf-8'));
+ for (const key of Array.isArray(data.keys) ? data.keys : []) {
+ if (key && key.id && key.secret) keys.set(key.id, key);
+ }
+ if (data.currentKeyId && keys.has(data.currentKeyId)) currentKeyId = data.currentKeyId;
+ if (keys.size > 0) {
+ console.log(` Loaded ${keys.size} play URL signing key(s) from file`);
+ }
+ }
+ } catch (e) {
+ console.warn(`[WARN] Could not load signing keys file: ${e.message}`);
+ }
+
+ if (!currentKeyId) rotate();
+}
+
+/**
+ * Save keys to file (immediately - a lost key means broken links)
+ */
+function saveKeys() {
+ if (envSecret) return;
+
+ try {
+ if (!fs.existsSync(DATA_DIR)) {
+ fs.mkdirSync(DATA_DIR, { recursive: true });
+ }
+
+ const data = { currentKeyId, keys: Array.from(keys.values()) };
+ fs.writeFileSync(KEYS_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+ } catch (e) {
+ console.warn(`[WARN] Could not save signing keys file: ${e.message}`);
+ }
+}
+
+/**
+ * Drop retired keys whose grace period is over
+ */
+function pruneKeys(now = Date.now()) {
+ for (const [id, key] of keys.entries()) {
+ if (key.retiredAt && now - key.retiredAt > GRACE_MS) {
+ keys.delete(id);
+ }
+ }
+}
+
+/**
+ * Create a new current key and retire the previous one
+ * @returns {string|null} - New key ID (null when the key is fixed via PLAY_URL_SECRET)
+ */
+function rotate() {
+ if (envSecret) return null;
+
+ const now = Date.now();
+ const previous = currentKeyId && keys.get(currentKeyId);
+ if (previous) previous.retiredAt = now;
+
+ const id = newKeyId();
+ keys.set(id, { id, secret: crypto.randomBytes(32).toString('hex'), createdAt: now, retiredAt: null });
+ currentKeyId = id;
+
+ pruneKeys(now);
+ saveKeys();
+ console.log(`[OK] Play URL signing key ${previous ? 'rotated' : 'created'} (current: ${id}, active keys: ${keys.size})`);
+ return id;
+}
+
+function getCurrentKey() {
+ const key = keys.get(currentKeyId);
+ if (!envSecret && key && Date.now() - key.createdAt > ROTATE_AFTER_MS) {
+ rotate();
+ return keys.get(currentKeyId);
+ }
+ return key;
+}
+
+/**
+ * Sign data with the current key
+ * @param {string} data - Canonical string to sign
+ * @returns {string} - "<kid>.<exp>.<mac>" with exp in base36 unix seconds
+ */
+function sign(data) {
+ const key = getCurrentKey();
+ const exp = Math.floor((Date.now() + SIGNATURE_TTL_MS) / 1000).toString(36);
+ return `${key.id}.${exp}.${hmac(key.secret, `${data}|${exp}`)}`;
+}
+
+/**
+ * Verify a signature made by sign()
+ * @returns {boolean} - True if the key is known, the signature unexpired and the MAC matches
+ */
+function verify(data, sig) {
+ const parts = String(sig || '').split('.');
+
+ // Unversioned signatures from before the key store only verify against PLAY_URL_SECRET
+ if (parts.length === 1) {
+ return !!envSecret && safeEqual(parts[0], hmac(envSecret, data));
+ }
+ if (parts.length !== 3) return false;
+
+ const [kid, exp, mac] = parts;
+ const key = keys.get(kid);
+ if (!key) return false;
+
+ const expiresAt = parseInt(exp, 36) * 1000;
+ if (!Number.isFinite(expiresAt) || expiresAt < Date.now()) return false;
+ if (key.retiredAt && Date.now() - key.retiredAt > GRACE_MS) return false;
+
+ return safeEqual(mac, hmac(key.secret, `${data}|${exp}`));
+}
+
+// Constant-time comparison to prevent timing attacks
+function safeEqual(a, b) {
+ try {
+ return crypto.timingSafeEqual(Buffer.from(a, 'base64url'), Buffer.from(b, 'base64url'));
+ } catch (e) {
+ return false; // Length mismatch or other error
+ }
+}
+
+/**
+ * Key metadata for diagnostics (never includes secrets)
+ */
+function getState() {
+ return {
+ currentKeyId,
+ source: envSecret ? 'env' : 'file',
+ signatureTtlMs: SIGNATURE_TTL_MS,
+ graceMs: GRACE_MS,
+ keys: Array.from(keys.values()).map(({ id, createdAt, retiredAt }) => ({ id, createdAt, retiredAt }))
+ };
+}
+
+// Load keys on module initialization
+loadKeys();
+
+module.exports = {
+ sign,
+ verify,
+ rotate,
+ getState
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * sourceHealth.js
+ *
+ * Per-source health tracking for upstream stream fetches
+ * - Rolling window of recent fetches per source: success rate, p50/p95 latency, recent status codes
+ * - Adaptive timeouts: a source that answers fast gets a tighter timeout than its fixed 12s/15s base
+ * - Circuit breaker (like DebridCircuitBreaker, but per source): after repeated failures the source is
+ *   skipped for a while instead of paying for a doomed request on every stream lookup (e.g. Torrentio 403s
+ *   from cloud IPs); once the cool-down is over requests go through again (half-open) and the first outcome
+ *   decides: a success closes the circuit, a failure re-opens it for twice as long
+ * - Keys are source ids ("torrentio", "comet", ...) or "addon:<host>" for user-configured addons
+ */
+
+const { SOURCE_HEALTH } = require('../core/constants');
+
+const MAX_TRACKED = 200; // Custom addon hosts are user input - bound the map
+
+// Blocked, throttled or broken upstream; other 4xx (e.g. 404 for an unknown ID) still mean the source is up
+function isFailureStatus(status) {
+ return typeof status !== 'number' || status === 403 || status === 429 || status >= 500;
+}
+
+function percentile(sorted, p) {
+ if (sorted.length === 0) return null;
+ return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+class SourceHealthTracker {
+ constructor(options = SOURCE_HEALTH, label = 'Source') {
+ this.options = options;
+ this.label = label; // Log prefix ("Source torrentio", "Proxy a.workers.dev")
+ this.sources = new Map(); // key -> { samples, consecutiveFailures, openUntil, openMs, lastSeen }
+ }
+
+ entry(key) {
+ let health = this.sources.get(key);
+ if (!health) {
+ if (this.sources.size >= MAX_TRACKED) {
+ // Drop the least recently seen source
+ const oldest = Array.from(this.sources.entries()).sort((a, b) => a[1].lastSeen - b[1].lastSeen)[0];
+ if (oldest) this.sources.delete(oldest[0]);
+ }
+ health = { samples: [], consecutiveFailures: 0, openUntil: 0, openMs: 0, lastSeen: Date.now() };
+ this.sources.set(key, health);
+ }
+ return health;
+ }
+
+ /**
+ * Record one fetch
+ * @param {string} key - Source id
+ * @param {Object} result - { status: HTTP status, 'timeout' or 'error', ms: elapsed time, ok: overrides the status check }
+ */
+ record(key, { status, ms, ok: okOverride }) {
+ if (!key) return;
+ const health = this.entry(key);
+ const ok = typeof okOverride === 'boolean' ? okOverride : !isFailureStatus(status);
+ const now = Date.now();
+
+ health.samples.push({ ok, status, ms, at: now });
+ if (health.samples.length > this.options.WINDOW_SIZE) health.samples.shift();
+ health.lastSeen = now;
+
+ if (ok) {
+ if (health.openUntil) console.log(`[OK] ${this.label} ${key} recovered - circuit closed`);
+ health.consecutiveFailures = 0;
+ health.openUntil = 0;
+ health.openMs = 0;
+ return;
+ }
+
+ health.consecutiveFailures++;
+ const wasRetry = health.openUntil && now >= health.openUntil;
+ if (wasRetry || health.consecutiveFailures === this.options.FAILURES_TO_OPEN) {
+ // Failed retry after a cool-down doubles the next one
+ health.openMs = wasRetry ? Math.min(health.openMs * 2, this.options.MAX_OPEN_MS) : this.options.OPEN_MS;
+ health.openUntil = now + health.openMs;
+ console.warn(`[WARN] ${this.label} ${key} circuit open for ${Math.round(health.openMs / 1000)}s after ${health.consecutiveFailures} consecutive failures (last: ${status})`);
+ }
+ }
+
+ /**
+ * Whether the source may be queried (circuit closed, or cool-down over - not single-flight: every request
+ * in the half-open window goes through)
+ */
+ isAvailable(key) {
+ const health = this.sources.get(key);
+ return !health || !health.openUntil || Date.now() >= health.openUntil;
+ }
+
+ /**
+ * Timeout for the next fetch: p95 latency x factor once enough successes are known, never above the base
+ * @param {string} key - Source id
+ * @param {number} baseMs - The fetcher's fixed timeout
+ */
+ getTimeout(key, baseMs) {
+ const health = this.sources.get(key);
+ if (!health) return baseMs;
+ const latencies = health.samples.filter(s => s.ok).map(s => s.ms).sort((a, b) => a - b);
+ if (latencies.length < this.options.MIN_SAMPLES) return baseMs;
+ const adaptive = Math.round(percentile(latencies, 0.95) * this.options.TIMEOUT_P95_FACTOR);
+ return Math.min(baseMs, Math.max(this.options.MIN_TIMEOUT, adaptive));
+ }
+
+ summarize(health, now) {
+ const latencies = health.samples.filter(s => s.ok).map(s => s.ms).sort((a, b) => a - b);
+ const successes = health.samples.filter(s => s.ok).length;
+ const open = !!health.openUntil && now < health.openUntil;
+ return {
+ samples: health.samples.length,
+ successRate: health.samples.length ? Math.round((successes / health.samples.length) * 100) / 100 : null,
+ p50Ms: percentile(latencies, 0.5),
+ p95Ms: percentile(latencies, 0.95),
+ recentStatuses: health.samples.slice(-10).map(s => s.status),
+ consecutiveFailures: health.consecutiveFailures,
+ circuit: open ? 'open' : (health.openUntil ? 'half-open' : 'closed'),
+ retryInSeconds: open ? Math.ceil((health.openUntil - now) / 1000) : 0
+ };
+ }
+
+ /**
+ * Health snapshot of one source (same shape as a getState() entry), or null if it was never recorded
+ */
+ getHealth(key) {
+ const health = this.sources.get(key);
+ return health ? this.summarize(health, Date.now()) : null;
+ }
+
+ /**
+ * Health snapshot of every tracked source (for /health/detailed)
+ */
+ getState() {
+ const now = Date.now();
+ const state = {};
+ for (const [key, health] of this.sources.entries()) state[key] = this.summarize(health, now);
+ return state;
+ }
+
+ /**
+ * Forget a source's history (or every source's) - closes its circuit
+ */
+ reset(key) {
+ if (key) return this.sources.delete(key) ? 1 : 0;
+ const n = this.sources.size;
+ this.sources.clear();
+ return n;
+ }
+}
+
+// Global tracker instance
+const sourceHealth = new SourceHealthTracker();
+
+module.exports = {
+ SourceHealthTracker,
+ sourceHealth,
+ isFailureStatus
+};
@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * sourceRegistry.js
+ *
+ * Registry of upstream stream sources
+ * - Each source declares its id, display name, origin tag, whether it needs debrid credentials,
+ *   its default enablement (the source.<id> feature flag default), its response cache and its fetch function
+ * - The stream handler, the next-episode preloader and /admin/sources/test all iterate this list,
+ *   so adding a source = adding one entry here (and its fetcher in sources.js)
+ *
+ * Fetch functions take a per-request context:
+ *   { hasDebrid, debridOptions: { debridProvider, debridApiKey }, nuvioEnabled, nuvioCookie, nuvioExclude: Set of Nuvio provider ids,
+ *     mediafusionEnabled, customAddons,
+ *     torznab: { endpoint, apiKey } or null, getMeta: async () => metadata (title fallback for Torznab) }
+ */
+
+const {
+ fetchTorrentioStreams,
+ fetchTPBStreams,
+ fetchNuvioStreams,
+ fetchCometStreams,
+ fetchMediaFusionStreams,
+ fetchCustomAddonStreams,
+ fetchTorznabStreams,
+ caches
+} = require('./sources');
+const { sourceHealth } = require('./sourceHealth');
+const { filterProviders } = require('./nuvioProviders');
+
+// Order is the order streams are combined in (and shown in logs)
+const SOURCES = [
+ {
+ id: 'torrentio',
+ name: 'Torrentio',
+ origin: 'torrentio',
+ needsDebrid: true, // Blocks cloud IPs without a debrid config
+ defaultEnabled: true,
+ cache: caches.torrentio,
+ fetch: (type, id, ctx, log) => fetchTorrentioStreams(type, id, ctx.debridOptions || {}, log)
+ },
+ {
+ id: 'tpb',
+ name: 'TPB+',
+ origin: 'tpb',
+ needsDebrid: false,
+ defaultEnabled: false, // TPB answers 403 to cloud IPs
+ cache: caches.tpb,
+ fetch: (type, id, ctx, log) => fetchTPBStreams(type, id, {}, log)
+ },
+ {
+ id: 'nuvio',
+ name: 'Nuvio',
+ origin: 'nuvio',
+ needsDebrid: false,
+ defaultEnabled: true,
+ cache: caches.nuvio,
+ isRequested: (ctx) => !!ctx.nuvioEnabled,
+ // Providers the user switched off are dropped after the (shared) cache
+ fetch: (type, id, ctx, log) => fetchNuvioStreams(type, id, { query: { direct: '1' }, cookie: ctx.nuvioCookie }, log)
+ .then(streams => filterProviders(streams, ctx.nuvioExclude)),
+ // Split cookie (Nuvio+) streams out in the source summary
+ display: (streams, ctx) => {
+ const plus = streams.filter(s => ctx.nuvioCookie || s?.behaviorHints?.proxyHeaders?.Cookie || s?._usedCookie).length;
+ return plus > 0 ? `Nuvio(${streams.length - plus}), Nuvio+(${plus})` : `Nuvio(${streams.length})`;
+ }
+ },
+ {
+ id: 'comet',
+ name: 'Comet',
+ origin: 'comet',
+ needsDebrid: false, // Falls back to its public config without credentials
+ defaultEnabled: true,
+ cache: caches.comet,
+ fetch: (type, id, ctx, log) => fetchCometStreams(type, id, ctx.debridOptions || {}, log)
+ },
+ {
+ id: 'mediafusion',
+ name: 'MediaFusion',
+ origin: 'mediafusion',
+ needsDebrid: true, // P2P is disabled on the ElfHosted instance
+ defaultEnabled: true,
+ cache: caches.mediafusion,
+ isRequested: (ctx) => !!ctx.mediafusionEnabled,
+ fetch: (type, id, ctx, log) => fetchMediaFusionStreams(type, id, ctx.debridOptions || {}, log)
+ },
+ {
+ id: 'addons',
+ name: 'Addons',
+ origin: 'addon',
+ needsDebrid: false,
+ defaultEnabled: true,
+ cache: caches.addons,
+ isRequested: (ctx) => Array.isArray(ctx.customAddons) && ctx.customAddons.length > 0,
+ fetch: (type, id, ctx, log) => fetchCustomAddonStreams(ctx.customAddons, type, id, log)
+ },
+ {
+ id: 'torznab',
+ name: 'Torznab',
+ origin: 'torznab',
+ needsDebrid: false,
+ defaultEnabled: true,
+ cache: caches.torznab,
+ isRequested: (ctx) => !!(ctx.torznab && ctx.torznab.endpoint),
+ fetch: (type, id, ctx, log) => fetchTorznabStreams(type, id, { ...ctx.torznab, getMeta: ctx.getMeta }, log)
+ }
+];
+
+/**
+ * Get all registered sources
+ */
+function getSources() {
+ return SOURCES;
+}
+
+/**
+ * Get a source by id
+ */
+function getSource(id) {
+ return SOURCES.find(source => source.id === id);
+}
+
+/**
+ * Get all source ids
+ */
+function getSourceIds() {
+ return SOURCES.map(source => source.id);
+}
+
+/**
+ * Sources to query for one request (sources whose circuit is open are skipped)
+ * @param {Object} ctx - Request context (see top of file)
+ * @param {Object} [options] - { only: restrict to one source id, isEnabled: runtime switch per source id }
+ */
+function getActiveSources(ctx, { only = '', isEnabled = () => true } = {}) {
+ return SOURCES.filter(source =>
+ isEnabled(source.id) &&
+ sourceHealth.isAvailable(source.id) &&
+ (!only || only === source.id) &&
+ (!source.needsDebrid || !!ctx.hasDebrid) &&
+ (!source.isRequested || source.isRequested(ctx)));
+}
+
+/**
+ * Query sources in parallel; a failing source yields no streams (and its error) instead of failing the request
+ * With a deadline, answers early: at the deadline, or once isEnough(streams so far) holds.
+ * Sources still running keep going in the background and fill their caches for the next request.
+ * @param {Function} log - Called as log(source, ...args) with the fetcher's log arguments
+ * @param {Object} [options] - { deadlineMs, isEnough: (streams) => boolean,
+ *   onResult: (source, streams) => void - called for every source that answers, including after the deadline }
+ * @returns {Promise<Array<{ source, streams, error, pending }>>} - One entry per source, in the given order
+ */
+function fetchFromSources(sources, type, id, ctx, log = ()=>{}, { deadlineMs = 0, isEnough = null, onResult = null } = {}) {
+ const results = sources.map(source => ({ source, streams: [], error: null, pending: true }));
+ if (sources.length === 0) return Promise.resolve(results);
+
+ return new Promise(resolve => {
+ let remaining = sources.length;
+ let done = false;
+ let timer = null;
+ const finish = () => {
+ if (done) return;
+ done = true;
+ if (timer) clearTimeout(timer);
+ resolve(results.map(r => ({ ...r })));
+ };
+
+ sources.forEach((source, i) => {
+ Promise.resolve()
+ .then(() => source.fetch(type, id, ctx, (tag, ...args) => log(source, ...args)))
+ .then(streams => {
+ results[i].streams = streams || [];
+ if (onResult) {
+ try { onResult(source, results[i].streams); } catch (e) { console.warn(`[WARN] ${source.name} result handler failed: ${e.message}`); }
+ }
+ }, error => { results[i].error = error; })
+ .then(() => {
+ results[i].pending = false;
+ remaining--;
+ if (remaining === 0 || (isEnough && isEnough(results.flatMap(r => r.streams)))) finish();
+ });
+ });
+
+ if (deadlineMs > 0) timer = setTimeout(finish, deadlineMs);
+ });
+}
+
+/**
+ * One-line summary of fetch results, e.g. "Torrentio(12), Nuvio(3), Comet(pending), TPB(failed)"
+ */
+function describeResults(results, ctx) {
+ return results.map(({ source, streams, error, pending }) =>
+ pending ? `${source.name}(pending)` : error ? `${source.name}(failed)` : source.display ? source.display(streams, ctx) : `${source.name}(${streams.length})`).join(', ');
+}
+
+/**
+ * Flush every source's response cache
+ * @returns {number} - Entries removed
+ */
+function clearSourceCaches() {
+ return SOURCES.reduce((total, source) => total + (source.cache ? source.cache.clear() : 0), 0);
+}
+
+/**
+ * Registry state for diagnostics
+ */
+function getSourceStats() {
+ return SOURCES.map(({ id, name, needsDebrid, defaultEnabled, cache }) => ({
+ id,
+ name,
+ needsDebrid,
+ defaultEnabled,
+ cachedResponses: cache ? cache.size : 0,
+ cache: cache ? cache.getStats() : null // Fresh/stale hits, coalesced loads, failed background refreshes
+ }));
+}
+
+module.exports = {
+ getSources,
+ getSource,
+ getSourceIds,
+ getActiveSources,
+ fetchFromSources,
+ describeResults,
+ clearSourceCaches,
+ getSourceStats
+};
@@ -1,6 +1,9 @@
 'use strict';
+const crypto = require('crypto');
 const { TTLCache } = require('../utils/cache');
 const { fetchWithTimeout } = require('../utils/http');
+const { fetchPublicUrl } = require('../utils/hostGuard');
+const { sourceHealth } = require('./sourceHealth');
 const { 
  BASE_TORRENTIO, 
  BASE_TPB, 
@@ -8,16 +11,26 @@ const {
  BASE_MEDIAFUSION, 
  BASE_COMET, 
  COMET_DEFAULT_CONFIG,
- MEDIAFUSION_DEFAULT_CONFIG,
- CF_PROXY_URL 
+ MEDIAFUSION_DEFAULT_CONFIG
 } = require('../constants');
+const proxyPool = require('./proxyPool');
+const { getNuvioProvider } = require('./nuvioProviders');
 
-const torrentioCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000 });
-const tpbCache = new TTLCache({ max: 300, ttlMs: 60 * 60 * 1000 });
-const nuvioCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000 }); // Increased from 12 min to 60 min
-const mediafusionCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000 });
-const cometCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000 });
+// Stream responses are fresh for an hour; after that they are served stale while a background refresh runs,
+// and kept up to STALE_MS longer if the upstream is failing (torrent lists age slowly)
+const STALE_MS = 6 * 60 * 60 * 1000;
+const torrentioCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000, staleMs: STALE_MS });
+const tpbCache = new TTLCache({ max: 300, ttlMs: 60 * 60 * 1000, staleMs: STALE_MS });
+const nuvioCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000, staleMs: 30 * 60 * 1000 }); // Direct host links expire - short stale window
+const mediafusionCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000, staleMs: STALE_MS });
+const cometCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000, staleMs: STALE_MS });
 const mediafusionConfigCache = new TTLCache({ max: 50, ttlMs: 24 * 60 * 60 * 1000 }); // 24 hour cache for encrypted configs
+const addonManifestCache = new TTLCache({ max: 200, ttlMs: 6 * 60 * 60 * 1000, staleMs: 24 * 60 * 60 * 1000 }); // Custom addon manifests rarely change
+const addonCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000, staleMs: STALE_MS });
+const torznabCache = new TTLCache({ max: 500, ttlMs: 60 * 60 * 1000, staleMs: STALE_MS });
+
+const MAX_CUSTOM_ADDONS = 5;
+const MAX_TORZNAB_RESULTS = 100; // Best-seeded results only; "all" indexer searches can return thousands
 
 /**
  * Build standard Stremio stream URL (for Torrentio, TPB, Nuvio)
@@ -231,14 +244,6 @@ function buildMediaFusionConfig(debridProvider, apiKey) {
  return null; // Signal that async config fetch is needed
 }
 
-/**
- * Wrap URL with Cloudflare proxy if CF_PROXY_URL is set
- */
-function proxyUrl(url) {
- if (!CF_PROXY_URL) return url;
- return `${CF_PROXY_URL}?url=${encodeURIComponent(url)}`;
-}
-
 /**
  * METADATA PRESERVATION LAYER
  * Captures and preserves critical technical metadata from original streams
@@ -322,21 +327,53 @@ function preserveStreamMetadata(stream, source = 'unknown') {
  
  return preservedStream;
 }
-async function fetchJson(url, timeoutMs, log = ()=>{}, useProxy = true) {
+// healthKey: source id to record the outcome under (sourceHealth) - also adapts the timeout to that source's latency
+// useProxy: go through the CF proxy pool (rotating to the next proxy, then direct, on 403/429/5xx) - see proxyPool.js
+// guarded: user-supplied URL - refuse private/loopback/link-local hosts, redirects included (utils/hostGuard.js)
+async function fetchBody(url, timeoutMs, log, useProxy, healthKey, read, guarded) {
+ const timeout = healthKey ? sourceHealth.getTimeout(healthKey, timeoutMs || 12000) : (timeoutMs || 12000);
+ const start = Date.now();
+ const routes = useProxy ? proxyPool.getRoutes() : [proxyPool.DIRECT];
+ let failure = { status: 'error', error: 'No route' };
+
+ for (const [i, route] of routes.entries()) {
+ // Each route gets an even share of what's left of the budget, so a hanging proxy can't starve the rest
+ const remaining = timeout - (Date.now() - start);
+ if (i > 0 && remaining < 1000) break;
+ const attemptTimeout = Math.floor(remaining / (routes.length - i));
+ const attemptStart = Date.now();
+ const via = route === proxyPool.DIRECT ? [] : [`via ${route.id}`];
  try {
- // Use CF proxy for Torrentio/TPB to bypass IP blocks on Render
- const fetchUrl = useProxy ? proxyUrl(url) : url;
- const r = await fetchWithTimeout(fetchUrl, { redirect: 'follow' }, timeoutMs || 12000);
- if (!r || !r.ok) { 
- log('status', r && r.status, url); 
- return { ok: false, data: null, error: `HTTP ${r ? r.status : 'unknown'}` }; 
+ const r = guarded
+ ? await fetchPublicUrl(route.wrap(url), {}, attemptTimeout)
+ : await fetchWithTimeout(route.wrap(url), { redirect: 'follow' }, attemptTimeout);
+ const status = r ? r.status : 'error';
+ proxyPool.record(route, { status, ms: Date.now() - attemptStart });
+ if (!r || !r.ok) {
+ failure = { status, error: `HTTP ${r ? r.status : 'unknown'}` };
+ log('status', r && r.status, url, ...via);
+ if (proxyPool.shouldRotate(status) && i < routes.length - 1) continue;
+ break;
  }
- const data = await r.json();
+ const data = await read(r);
+ sourceHealth.record(healthKey, { status: r.status, ms: Date.now() - start });
  return { ok: true, data, error: null };
  } catch (e) { 
- log('error', e && e.message || e); 
- return { ok: false, data: null, error: e && e.message || String(e) }; 
+ const status = e && e.name === 'AbortError' ? 'timeout' : 'error';
+ proxyPool.record(route, { status, ms: Date.now() - attemptStart });
+ failure = { status, error: e && e.message || String(e) };
+ log('error', e && e.message || e, ...via); 
+ }
  }
+
+ sourceHealth.record(healthKey, { status: failure.status, ms: Date.now() - start });
+ return { ok: false, data: null, error: failure.error };
+}
+function fetchJson(url, timeoutMs, log = ()=>{}, useProxy = true, healthKey = '', guarded = false) {
+ return fetchBody(url, timeoutMs, log, useProxy, healthKey, r => r.json(), guarded);
+}
+function fetchText(url, timeoutMs, log = ()=>{}, useProxy = true, healthKey = '', guarded = false) {
+ return fetchBody(url, timeoutMs, log, useProxy, healthKey, r => r.text(), guarded);
 }
 async function fetchTorrentioStreams(type, id, options = {}, log = ()=>{}) {
  // Build debrid config if credentials provided
@@ -348,14 +385,14 @@ async function fetchTorrentioStreams(type, id, options = {}, log = ()=>{}) {
   ? buildTorrentioUrl(BASE_TORRENTIO, type, id, debridConfig)
   : buildUrl(BASE_TORRENTIO, type, id, options.query);
  
- const cached = torrentioCache.get(url); 
- if (cached) return cached;
- 
+ // Failed upstream calls are not cached (a stale answer is kept instead - see TTLCache.getOrLoad)
+ return torrentioCache.getOrLoad(url, async () => {
  let streams = [];
  
  // Step 1: Try normal episode format
- const result = await fetchJson(url, 12000, (m,...a)=>log('torrentio',m,...a));
- const j = result.ok ? result.data : null;
+ const result = await fetchJson(url, 12000, (m,...a)=>log('torrentio',m,...a), true, 'torrentio');
+ if (!result.ok) throw new Error(result.error);
+ const j = result.data;
  let arr = Array.isArray(j) ? j : (j && Array.isArray(j.streams) ? j.streams : []);
  streams = Array.isArray(arr) ? arr : [];
  
@@ -380,7 +417,7 @@ async function fetchTorrentioStreams(type, id, options = {}, log = ()=>{}) {
  
  log('torrentio', `Episode format returned 0 streams, trying season pack: ${seasonId}`);
  
- const seasonResult = await fetchJson(seasonUrl, 12000, (m,...a)=>log('torrentio-season',m,...a));
+ const seasonResult = await fetchJson(seasonUrl, 12000, (m,...a)=>log('torrentio-season',m,...a), true, 'torrentio');
  const seasonJ = seasonResult.ok ? seasonResult.data : null;
  let seasonArr = Array.isArray(seasonJ) ? seasonJ : (seasonJ && Array.isArray(seasonJ.streams) ? seasonJ.streams : []);
  const seasonStreams = Array.isArray(seasonArr) ? seasonArr : [];
@@ -407,14 +444,15 @@ async function fetchTorrentioStreams(type, id, options = {}, log = ()=>{}) {
  }
  }
  
- torrentioCache.set(url, streams);
  return streams;
+ });
 }
 async function fetchTPBStreams(type, id, query, log = ()=>{}) {
  const url = buildUrl(BASE_TPB, type, id, query);
- const cached = tpbCache.get(url); if (cached) return cached;
- const result = await fetchJson(url, 12000, (m,...a)=>log('tpb',m,...a));
- const j = result.ok ? result.data : null;
+ return tpbCache.getOrLoad(url, async () => {
+ const result = await fetchJson(url, 12000, (m,...a)=>log('tpb',m,...a), true, 'tpb');
+ if (!result.ok) throw new Error(result.error);
+ const j = result.data;
  let arr = Array.isArray(j) ? j : (j && Array.isArray(j.streams) ? j.streams : []);
  arr = Array.isArray(arr) ? arr : [];
  
@@ -425,8 +463,8 @@ async function fetchTPBStreams(type, id, query, log = ()=>{}) {
  return preserved;
  });
  
- tpbCache.set(url, preservedStreams);
  return preservedStreams;
+ });
 }
 function pickCookie(opts) {
  const q = (opts && opts.query) || {};
@@ -438,9 +476,10 @@ async function fetchNuvioStreams(type, id, options = {}, log = ()=>{}) {
  const query = Object.assign({ direct: '1' }, options.query || {}, cookie ? { cookie } : {});
  const url = buildUrl(base, type, id, query);
  const cacheKey = url + '#ck=' + (cookie ? '1' : '0');
- const cached = nuvioCache.get(cacheKey); if (cached) return cached;
- const result = await fetchJson(url, 12000, (m,...a)=>log('nuvio',m,...a));
- const j = result.ok ? result.data : null;
+ return nuvioCache.getOrLoad(cacheKey, async () => {
+ const result = await fetchJson(url, 12000, (m,...a)=>log('nuvio',m,...a), true, 'nuvio');
+ if (!result.ok) throw new Error(result.error);
+ const j = result.data;
  let streams = Array.isArray(j) ? j : (j && Array.isArray(j.streams) ? j.streams : []);
  if (!Array.isArray(streams)) streams = [];
  streams = streams.map(s => {
@@ -449,6 +488,7 @@ async function fetchNuvioStreams(type, id, options = {}, log = ()=>{}) {
  // First, preserve metadata before any modifications
  const preserved = preserveStreamMetadata(s, 'nuvio');
  preserved.autostreamOrigin = 'nuvio';
+ preserved._nuvioProvider = getNuvioProvider(s).id; // Per-provider exclusion and reliability
  
  // Apply cookie handling to preserved stream
  if (cookie && preserved.url && /^https?:\/\//i.test(preserved.url)) {
@@ -463,8 +503,8 @@ async function fetchNuvioStreams(type, id, options = {}, log = ()=>{}) {
  
  return preserved;
  });
- nuvioCache.set(cacheKey, streams);
  return streams;
+ });
 }
 
 /**
@@ -495,14 +535,13 @@ async function fetchMediaFusionStreams(type, id, options = {}, log = ()=>{}) {
  }
  
  const url = buildMediaFusionUrl(BASE_MEDIAFUSION, type, id, config);
- const cached = mediafusionCache.get(url);
- if (cached) return cached;
- 
+ return mediafusionCache.getOrLoad(url, async () => {
  log('mediafusion', 'Fetching from:', url);
  
  // MediaFusion doesn't need proxy - ElfHosted generally allows cloud IPs
- const result = await fetchJson(url, 15000, (m,...a)=>log('mediafusion',m,...a), false);
- const j = result.ok ? result.data : null;
+ const result = await fetchJson(url, 15000, (m,...a)=>log('mediafusion',m,...a), false, 'mediafusion');
+ if (!result.ok) throw new Error(result.error);
+ const j = result.data;
  let arr = Array.isArray(j) ? j : (j && Array.isArray(j.streams) ? j.streams : []);
  arr = Array.isArray(arr) ? arr : [];
  
@@ -521,12 +560,112 @@ async function fetchMediaFusionStreams(type, id, options = {}, log = ()=>{}) {
  const preservedStreams = arr.map(stream => {
  const preserved = preserveStreamMetadata(stream, 'mediafusion');
  preserved.autostreamOrigin = 'mediafusion';
+ // Mark MediaFusion streams as debrid since they come pre-resolved from MediaFusion's debrid service
+ preserved._isDebrid = true;
+ preserved._debrid = true;
  return preserved;
  });
  
  log('mediafusion', `Found ${preservedStreams.length} streams`);
- mediafusionCache.set(url, preservedStreams);
  return preservedStreams;
+ });
+}
+
+/**
+ * Parse the user's custom addon list (config param "addons")
+ * Comma-separated, each entry URL-encoded so manifest URLs with their own config survive the config path
+ * @param {string} value - Raw param value
+ * @returns {string[]} - Base URLs (manifest URL without /manifest.json), http(s) only, at most MAX_CUSTOM_ADDONS
+ */
+function parseAddonList(value) {
+ const bases = [];
+ for (const entry of String(value || '').split(',')) {
+  let url;
+  try { url = new URL(decodeURIComponent(entry.trim())); } catch (e) { continue; }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') continue;
+  const base = url.href.replace(/\/manifest\.json$/i, '').replace(/\/+$/, '');
+  if (!bases.includes(base)) bases.push(base);
+  if (bases.length >= MAX_CUSTOM_ADDONS) break;
+ }
+ return bases;
+}
+
+/**
+ * Whether an addon manifest declares a stream resource for this type and ID
+ * Resource-level types/idPrefixes take precedence over the manifest-level ones
+ */
+function addonSupportsStream(manifest, type, id) {
+ const resources = Array.isArray(manifest && manifest.resources) ? manifest.resources : [];
+ const resource = resources.find(r => r === 'stream' || (r && r.name === 'stream'));
+ if (!resource) return false;
+ 
+ const types = (resource.types && Array.isArray(resource.types)) ? resource.types : manifest.types;
+ const idPrefixes = (resource.idPrefixes && Array.isArray(resource.idPrefixes)) ? resource.idPrefixes : manifest.idPrefixes;
+ if (Array.isArray(types) && !types.includes(type)) return false;
+ if (Array.isArray(idPrefixes) && idPrefixes.length > 0 && !idPrefixes.some(prefix => String(id).startsWith(prefix))) return false;
+ return true;
+}
+
+/**
+ * Fetch streams from a user-configured Stremio addon
+ * The manifest is checked first so addons without streams for this type/ID are never queried
+ * @param {string} base - Addon base URL (from parseAddonList)
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} id - IMDB ID (tt0111161) or series with season/episode (tt0903747:1:1)
+ * @param {Function} log - Logging function
+ */
+async function fetchAddonStreams(base, type, id, log = ()=>{}) {
+ const healthKey = `addon:${new URL(base).host}`;
+ if (!sourceHealth.isAvailable(healthKey)) {
+  log('addon', `${base} keeps failing - skipped until its circuit closes`);
+  return [];
+ }
+ 
+ const manifest = await addonManifestCache.getOrLoad(base, async () => {
+  const result = await fetchJson(`${base}/manifest.json`, 8000, (m,...a)=>log('addon',m,...a), false, healthKey, true);
+  if (!result.ok || !result.data || typeof result.data !== 'object') throw new Error(result.error || 'Invalid manifest');
+  return result.data;
+ });
+ 
+ if (!addonSupportsStream(manifest, type, id)) {
+  log('addon', `${manifest.name || base} has no streams for ${type} ${id} - skipping`);
+  return [];
+ }
+ 
+ const url = buildUrl(base, type, id);
+ return addonCache.getOrLoad(url, async () => {
+ // Custom addons are often self-hosted - no CF proxy; user-supplied, so private hosts are refused
+ const result = await fetchJson(url, 12000, (m,...a)=>log('addon',m,...a), false, healthKey, true);
+ if (!result.ok) throw new Error(result.error);
+ const j = result.data;
+ let arr = Array.isArray(j) ? j : (j && Array.isArray(j.streams) ? j.streams : []);
+ arr = arr.filter(stream => stream && (stream.url || stream.infoHash || stream.externalUrl));
+ 
+ const addonName = String(manifest.name || new URL(base).hostname);
+ const preservedStreams = arr.map(stream => {
+ const preserved = preserveStreamMetadata(stream, 'addon');
+ preserved.autostreamOrigin = 'addon';
+ preserved._addonName = addonName;
+ preserved.name = preserved.name || addonName;
+ return preserved;
+ });
+ 
+ log('addon', `${addonName}: found ${preservedStreams.length} streams`);
+ return preservedStreams;
+ });
+}
+
+/**
+ * Fetch streams from every configured custom addon in parallel
+ * A failing addon yields nothing while others answer; rejects when every addon failed
+ * @param {string[]} bases - Addon base URLs (from parseAddonList)
+ */
+async function fetchCustomAddonStreams(bases, type, id, log = ()=>{}) {
+ const results = await Promise.allSettled((bases || []).map(base => fetchAddonStreams(base, type, id, log)));
+ const failed = results.filter(r => r.status === 'rejected');
+ failed.forEach(r => log('addon', `failed: ${r.reason && r.reason.message || r.reason}`));
+ if (failed.length > 0 && failed.length === results.length) throw failed[0].reason;
+ return results.flatMap(r => (r.status === 'fulfilled' ? r.value : []));
 }
 
 /**
@@ -547,14 +686,13 @@ async function fetchCometStreams(type, id, options = {}, log = ()=>{}) {
  config = config || COMET_DEFAULT_CONFIG;
  
  const url = buildCometUrl(BASE_COMET, type, id, config);
- const cached = cometCache.get(url);
- if (cached) return cached;
- 
+ return cometCache.getOrLoad(url, async () => {
  log('comet', 'Fetching from:', url);
  
  // Comet doesn't need proxy - ElfHosted generally allows cloud IPs
- const result = await fetchJson(url, 15000, (m,...a)=>log('comet',m,...a), false);
- const j = result.ok ? result.data : null;
+ const result = await fetchJson(url, 15000, (m,...a)=>log('comet',m,...a), false, 'comet');
+ if (!result.ok) throw new Error(result.error);
+ const j = result.data;
  let arr = Array.isArray(j) ? j : (j && Array.isArray(j.streams) ? j.streams : []);
  arr = Array.isArray(arr) ? arr : [];
  
@@ -580,8 +718,189 @@ async function fetchCometStreams(type, id, options = {}, log = ()=>{}) {
  });
  
  log('comet', `Found ${preservedStreams.length} streams`);
- cometCache.set(url, preservedStreams);
  return preservedStreams;
+ });
+}
+
+/**
+ * Parse the user's Torznab indexer (config params "torznab" and "torznab_key")
+ * Accepts the API URL or the feed URL Jackett/Prowlarr show (…/torznab/ or …/1/), with or without ?apikey=
+ * @returns {{ endpoint: string, apiKey: string }|null} - endpoint is the …/api URL without query
+ */
+function parseTorznabEndpoint(value, apiKey = '') {
+ let url;
+ try { url = new URL(decodeURIComponent(String(value || '').trim())); } catch (e) { return null; }
+ if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+ const key = String(apiKey || url.searchParams.get('apikey') || '').trim();
+ const path = url.pathname.replace(/\/+$/, '');
+ const endpoint = `${url.origin}${/\/api$/i.test(path) ? path : `${path}/api`}`;
+ return { endpoint, apiKey: key };
+}
+
+function decodeXmlEntities(text) {
+ return String(text || '')
+ .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+ .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+ .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+ .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+ .replace(/&amp;/g, '&');
+}
+
+function xmlText(xml, tag) {
+ const m = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+ return m ? decodeXmlEntities(m[1]).trim() : '';
+}
+
+function xmlAttr(tagXml, name) {
+ const m = tagXml.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+ return m ? decodeXmlEntities(m[1] !== undefined ? m[1] : m[2]) : '';
+}
+
+// 32-char base32 btih (older magnets) -> 40-char hex
+function base32ToHex(b32) {
+ const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+ let bits = '';
+ for (const c of b32.toUpperCase()) {
+  const v = alphabet.indexOf(c);
+  if (v < 0) return '';
+  bits += v.toString(2).padStart(5, '0');
+ }
+ return bits.match(/.{4}/g).map(b => parseInt(b, 2).toString(16)).join('');
 }
 
-module.exports = { fetchTorrentioStreams, fetchTPBStreams, fetchNuvioStreams, fetchCometStreams };
+function infoHashFromMagnet(magnet) {
+ const m = String(magnet || '').match(/xt=urn:btih:([a-z0-9]+)/i);
+ if (!m) return '';
+ if (/^[a-f0-9]{40}$/i.test(m[1])) return m[1].toLowerCase();
+ return m[1].length === 32 ? base32ToHex(m[1]) : '';
+}
+
+/**
+ * Parse a Torznab (RSS) response into stream candidates
+ * Items without an infoHash or magnet (only a .torrent download link) are skipped
+ * @returns {{ streams: Array, error: string|null }}
+ */
+function parseTorznabResults(xml) {
+ const error = String(xml || '').match(/<error\s[^>]*>/i);
+ if (error) return { streams: [], error: `${xmlAttr(error[0], 'code')} ${xmlAttr(error[0], 'description')}`.trim() };
+
+ const streams = [];
+ for (const [, item] of String(xml || '').matchAll(/<item>([\s\S]*?)<\/item>/gi)) {
+  const attrs = {};
+  for (const [tag] of item.matchAll(/<torznab:attr\s[^>]*>/gi)) attrs[xmlAttr(tag, 'name').toLowerCase()] = xmlAttr(tag, 'value');
+  const enclosure = (item.match(/<enclosure\s[^>]*>/i) || [''])[0];
+  const link = xmlText(item, 'link');
+  const guid = xmlText(item, 'guid');
+  const magnet = attrs.magneturl || [link, guid, xmlAttr(enclosure, 'url')].find(u => /^magnet:/i.test(u)) || '';
+  const infoHash = /^[a-f0-9]{40}$/i.test(attrs.infohash || '') ? attrs.infohash.toLowerCase() : infoHashFromMagnet(magnet);
+  if (!infoHash) continue;
+
+  const title = xmlText(item, 'title');
+  const size = parseInt(xmlText(item, 'size') || attrs.size || xmlAttr(enclosure, 'length'), 10) || 0;
+  const seeders = attrs.seeders !== undefined ? parseInt(attrs.seeders, 10) || 0 : null;
+  const indexer = xmlText(item, 'jackettindexer') || xmlText(item, 'prowlarrindexer') || '';
+  const trackers = [...new URLSearchParams(magnet.replace(/^magnet:\?/i, '')).getAll('tr')];
+
+  streams.push({
+   name: indexer ? `Torznab (${indexer})` : 'Torznab',
+   title: [title, [seeders !== null ? `👤 ${seeders}` : '', size ? `💾 ${(size / 1e9).toFixed(2)} GB` : '', indexer ? `⚙️ ${indexer}` : ''].filter(Boolean).join(' ')].join('\n'),
+   infoHash,
+   sources: trackers.map(tr => `tracker:${tr}`),
+   behaviorHints: { bingeGroup: `torznab|${infoHash}`, ...(size ? { videoSize: size } : {}) },
+   ...(seeders !== null ? { _seeders: seeders } : {})
+  });
+ }
+ return { streams, error: null };
+}
+
+/**
+ * Fetch streams from a user-supplied Torznab indexer (Jackett, Prowlarr)
+ * Searches by IMDB ID first; indexers without IMDB search get a title (+ year or SxxEyy) query from the metadata
+ * @param {string} type - 'movie' or 'series'
+ * @param {string} id - IMDB ID (tt0111161) or series with season/episode (tt0903747:1:1)
+ * @param {Object} options - { endpoint, apiKey } from parseTorznabEndpoint, getMeta: async () => { name, year }
+ * @param {Function} log - Logging function
+ */
+async function fetchTorznabStreams(type, id, options = {}, log = ()=>{}) {
+ if (!options.endpoint) return [];
+ const healthKey = `torznab:${new URL(options.endpoint).host}`;
+ if (!sourceHealth.isAvailable(healthKey)) {
+  log('torznab', `${new URL(options.endpoint).host} keeps failing - skipped until its circuit closes`);
+  return [];
+ }
+
+ const [imdb, season, episode] = String(id).split(':');
+ const isEpisode = type === 'series' && season && episode;
+ const pad = n => String(n).padStart(2, '0');
+ const keyHash = crypto.createHash('sha256').update(String(options.apiKey || '')).digest('hex').slice(0, 16);
+
+ const search = async (params) => {
+  const query = new URLSearchParams(params).toString();
+  // The API key stays out of the cache key (and logs) - only its hash tells users' entries apart
+  const cacheKey = `${options.endpoint}?${query}#key=${keyHash}`;
+  const url = `${options.endpoint}?${new URLSearchParams({ ...params, apikey: options.apiKey || '' }).toString()}`;
+  return torznabCache.getOrLoad(cacheKey, async () => {
+   // Self-hosted indexers - no CF proxy; user-supplied, so private hosts are refused; the URL is never logged
+   const result = await fetchText(url, 12000, (m, ...a) => log('torznab', m, ...a.filter(x => x !== url)), false, healthKey, true);
+   if (!result.ok) throw new Error(result.error);
+   const { streams, error } = parseTorznabResults(result.data);
+   if (error) {
+    log('torznab', `Indexer error: ${error}`);
+    throw new Error(error);
+   }
+   return streams;
+  });
+ };
+
+ // Torznab spec takes the numeric IMDB ID (Jackett and Prowlarr accept both forms)
+ // A failed IMDB search still falls back to the title search; the error only surfaces when that isn't tried
+ const imdbid = imdb.replace(/^tt/i, '');
+ let imdbError = null;
+ let streams = await search(type === 'series'
+  ? { t: 'tvsearch', imdbid, ...(isEpisode ? { season, ep: episode } : {}) }
+  : { t: 'movie', imdbid }).catch(e => { imdbError = e; return []; });
+
+ let searchedByTitle = false;
+ if (streams.length === 0 && typeof options.getMeta === 'function') {
+  const meta = await Promise.resolve(options.getMeta()).catch(() => null);
+  const year = String((meta && (meta.year || meta.releaseInfo)) || '').match(/\d{4}/);
+  if (meta && meta.name && !meta._fallback) {
+   const q = isEpisode ? `${meta.name} S${pad(season)}E${pad(episode)}` : `${meta.name}${year && type !== 'series' ? ` ${year[0]}` : ''}`;
+   log('torznab', `No IMDB ID results, searching by title: ${q}`);
+   streams = await search(type === 'series' ? { t: 'tvsearch', q } : { t: 'search', q, cat: '2000' });
+   searchedByTitle = true;
+  }
+ }
+ if (imdbError && !searchedByTitle) throw imdbError;
+
+ const preservedStreams = streams
+  .slice()
+  .sort((a, b) => (b._seeders || 0) - (a._seeders || 0))
+  .slice(0, MAX_TORZNAB_RESULTS)
+  .map(stream => {
+  const preserved = preserveStreamMetadata(stream, 'torznab');
+  preserved.autostreamOrigin = 'torznab';
+  // A season-level result for an episode request is a pack - /play picks the episode file
+  if (isEpisode && !/S\d{1,2}\s*E\d{1,3}|\b\d{1,2}x\d{2}\b/i.test(stream.title)) {
+   preserved.autostreamSeasonPack = true;
+   preserved._originalMetadata.isSeasonPack = true;
+  }
+  return preserved;
+  });
+
+ log('torznab', `Found ${preservedStreams.length} streams`);
+ return preservedStreams;
+}
+
+// Per-source response caches (exposed for the source registry: stats and flushing)
+const caches = {
+ torrentio: torrentioCache,
+ tpb: tpbCache,
+ nuvio: nuvioCache,
+ comet: cometCache,
+ mediafusion: mediafusionCache,
+ addons: addonCache,
+ torznab: torznabCache
+};
+
+module.exports = { fetchTorrentioStreams, fetchTPBStreams, fetchNuvioStreams, fetchCometStreams, fetchMediaFusionStreams, buildMediaFusionConfigViaAPI, fetchCustomAddonStreams, parseAddonList, fetchTorznabStreams, parseTorznabEndpoint, caches };
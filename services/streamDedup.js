@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * streamDedup.js
+ *
+ * Cross-source deduplication of stream candidates (runs before scoring)
+ * - The same release often comes back from several sources (e.g. Torrentio torrent + Comet debrid link + an addon)
+ * - Candidates are the same when they share an infoHash, or a normalized filename plus (nearly) the same size
+ * - Each group collapses into its most playable member, enriched with the others' metadata:
+ *   max seeders, union of trackers, best filename, debrid-cached flag, and every origin it came from (_origins)
+ */
+
+const { extractSizeFromStream } = require('./filters');
+
+const SIZE_TOLERANCE = 0.03; // Sources round sizes differently ("4.2 GB" vs exact bytes)
+const GIB_PER_GB = 1024 ** 3 / 1e9; // ...and some print GiB labelled as GB
+const VIDEO_EXT_RE = /\.(mkv|mp4|avi|mov|m4v|wmv|flv|webm|ts|m2ts)$/i;
+
+function getFilename(s) {
+ return (s.behaviorHints && s.behaviorHints.filename) || (s._originalMetadata && s._originalMetadata.filename) || '';
+}
+
+function getSizeBytes(s) {
+ const hinted = s.behaviorHints && Number(s.behaviorHints.videoSize);
+ return hinted > 0 ? hinted : (s._parsedSizeBytes || extractSizeFromStream(s));
+}
+
+// "Movie.Name.2023.1080p.WEB-DL.x264-GRP.mkv" and "movie name 2023 1080p web dl x264 grp" map to the same key
+function normalizeFilename(filename) {
+ return String(filename || '').toLowerCase().replace(VIDEO_EXT_RE, '').replace(/[^a-z0-9]+/g, '');
+}
+
+function sameSize(a, b) {
+ const close = (x, y) => Math.abs(x - y) <= Math.max(x, y) * SIZE_TOLERANCE;
+ return close(a, b) || close(a * GIB_PER_GB, b) || close(a, b * GIB_PER_GB);
+}
+
+/**
+ * Seeder count of a candidate (merged count first, then Torrentio-style "👤 12" or "Seeders: 12" in the text)
+ * @returns {number|null}
+ */
+function getSeeders(s) {
+ if (typeof s._seeders === 'number') return s._seeders;
+ const text = `${s.title || ''}\n${s.description || ''}`;
+ const match = text.match(/👤\s*(\d+)/) || text.match(/\bseed(?:er)?s?\s*:?\s*(\d+)/i);
+ return match ? parseInt(match[1], 10) : null;
+}
+
+function getTrackers(s) {
+ const fromSources = (Array.isArray(s.sources) ? s.sources : [])
+ .filter(src => typeof src === 'string' && src.startsWith('tracker:'))
+ .map(src => src.replace(/^tracker:/, ''));
+ return [...((s._originalMetadata && s._originalMetadata.trackers) || []), ...fromSources];
+}
+
+// Which copy to keep: resolved debrid link > direct URL > debrid-cached torrent > torrent; then most seeders
+function playability(s) {
+ if (s._isDebrid || s._debrid || s.autostreamOrigin === 'comet' || s.autostreamOrigin === 'mediafusion') return 3;
+ if (/^https?:/i.test(String(s.url || ''))) return 2;
+ return s._debridCached ? 1 : 0;
+}
+
+// Prefer real filenames with an extension, then the most descriptive one
+function betterFilename(a, b) {
+ if (!a) return b;
+ if (!b) return a;
+ const ea = VIDEO_EXT_RE.test(a), eb = VIDEO_EXT_RE.test(b);
+ if (ea !== eb) return ea ? a : b;
+ return b.length > a.length ? b : a;
+}
+
+function mergeGroup(members) {
+ const best = members.reduce((acc, s) => {
+ const d = playability(s) - playability(acc);
+ if (d !== 0) return d > 0 ? s : acc;
+ return (getSeeders(s) || 0) > (getSeeders(acc) || 0) ? s : acc;
+ });
+ const merged = { ...best };
+
+ const seederCounts = members.map(getSeeders).filter(n => typeof n === 'number');
+ if (seederCounts.length > 0) merged._seeders = Math.max(...seederCounts);
+
+ if (members.some(s => s._debridCached)) merged._debridCached = true;
+
+ const filename = members.map(getFilename).reduce(betterFilename, '');
+ const trackers = [...new Set(members.flatMap(getTrackers))];
+ if (filename) merged.behaviorHints = { ...(merged.behaviorHints || {}), filename };
+ if (merged._originalMetadata) {
+ const extraSources = members.flatMap(s => (s._originalMetadata && s._originalMetadata.sources) || []);
+ merged._originalMetadata = {
+ ...merged._originalMetadata,
+ filename: filename || merged._originalMetadata.filename,
+ trackers,
+ sources: [...new Set([...(merged._originalMetadata.sources || []), ...extraSources])]
+ };
+ }
+ if (Array.isArray(merged.sources)) {
+ merged.sources = [...new Set([...merged.sources, ...trackers.map(tr => `tracker:${tr}`)])];
+ }
+
+ merged._origins = [...new Set(members.flatMap(s => s._origins || [s.autostreamOrigin]).filter(Boolean))];
+ return merged;
+}
+
+/**
+ * Merge duplicate candidates across sources
+ * @param {Array} streams - Tagged candidates (autostreamOrigin set), in source order
+ * @returns {{ streams: Array, merged: number }} - Deduplicated list in first-seen order, and how many copies were folded in
+ */
+function dedupeStreams(streams) {
+ const groups = [];
+ const byHash = new Map(); // infoHash -> group
+ const byName = new Map(); // normalized filename -> [{ size, group }]
+
+ for (const s of streams || []) {
+ if (!s) continue;
+ const hash = s.infoHash ? String(s.infoHash).toLowerCase() : '';
+ const name = normalizeFilename(getFilename(s));
+ const size = name ? getSizeBytes(s) : 0;
+
+ let group = hash ? byHash.get(hash) : null;
+ if (!group && name && size > 0) {
+ const match = (byName.get(name) || []).find(entry => sameSize(entry.size, size));
+ if (match) group = match.group;
+ }
+ if (!group) {
+ group = [];
+ groups.push(group);
+ }
+ group.push(s);
+
+ if (hash && !byHash.has(hash)) byHash.set(hash, group);
+ if (name && size > 0) {
+ if (!byName.has(name)) byName.set(name, []);
+ byName.get(name).push({ size, group });
+ }
+ }
+
+ const out = groups.map(group => group.length === 1 ? group[0] : mergeGroup(group));
+ return { streams: out, merged: (streams || []).filter(Boolean).length - out.length };
+}
+
+module.exports = {
+ dedupeStreams
+};
@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * torrentIndex.js
+ *
+ * Persistent local index of torrents seen from upstream sources (data/torrent-index.json)
+ * - Every torrent candidate a source returns is recorded under its content ID (tt0111161 or tt0903747:1:1):
+ *   infoHash, title, size, fileIdx, filename, trackers and last-seen seeders
+ * - The response caches forget a title after an hour; the index remembers it for INDEX_TTL, so the stream route
+ *   can still answer from it when live sources come back empty or time out (e.g. Torrentio blocked)
+ * - Bounded: at most MAX_PER_TITLE torrents per content ID (best seeded first) and MAX_TITLES content IDs
+ *   (least recently seen dropped first)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractSizeFromStream } = require('./filters');
+
+// File path for persistence
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const INDEX_FILE = path.join(DATA_DIR, 'torrent-index.json');
+
+// Configuration
+const MAX_TITLES = parseInt(process.env.TORRENT_INDEX_MAX_TITLES, 10) || 5000;
+const MAX_PER_TITLE = 15;
+const MAX_TRACKERS = 10;
+const INDEX_TTL = 30 * 24 * 60 * 60 * 1000; // Torrents not seen for 30 days are dropped
+const CLEANUP_INTERVAL = 6 * 60 * 60 * 1000;
+const SAVE_DEBOUNCE = 30 * 1000; // Recorded on every stream request - batch the writes
+
+// In-memory index: content ID -> { lastSeen, torrents: { infoHash -> entry } }
+const titles = new Map();
+
+// Debounce timer for saves
+let saveTimer = null;
+
+/**
+ * Load the index from file on startup
+ */
+function loadIndex() {
+ try {
+ if (fs.existsSync(INDEX_FILE)) {
+ const data = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8'));
+ const cutoff = Date.now() - INDEX_TTL;
+ for (const [contentId, title] of Object.entries(data)) {
+ if (title && title.torrents && title.lastSeen > cutoff) titles.set(contentId, title);
+ }
+ if (titles.size > 0) {
+ console.log(` Loaded torrent index for ${titles.size} titles from file`);
+ }
+ }
+ } catch (e) {
+ console.warn(`[WARN] Could not load torrent index file: ${e.message}`);
+ }
+}
+
+/**
+ * Save the index to file (debounced; written to a temp file first so a crash mid-write keeps the old index)
+ */
+function saveIndex() {
+ if (saveTimer) return;
+ saveTimer = setTimeout(() => {
+ saveTimer = null;
+ try {
+ if (!fs.existsSync(DATA_DIR)) {
+ fs.mkdirSync(DATA_DIR, { recursive: true });
+ }
+
+ const tmpFile = `${INDEX_FILE}.tmp`;
+ fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(titles.entries())));
+ fs.renameSync(tmpFile, INDEX_FILE);
+ } catch (e) {
+ console.warn(`[WARN] Could not save torrent index file: ${e.message}`);
+ }
+ }, SAVE_DEBOUNCE);
+}
+
+function getSeeders(s) {
+ if (typeof s._seeders === 'number') return s._seeders;
+ const match = `${s.title || ''}\n${s.description || ''}`.match(/👤\s*(\d+)/);
+ return match ? parseInt(match[1], 10) : null;
+}
+
+function getTrackers(s) {
+ const sources = (s._originalMetadata && s._originalMetadata.sources) || s.sources || [];
+ return sources.filter(src => typeof src === 'string' && src.startsWith('tracker:')).slice(0, MAX_TRACKERS);
+}
+
+// infoHash field, else the hash in a debrid resolve URL (Torrentio /resolve/.../<hash>/..., Comet /playback/<hash>/...)
+function getInfoHash(s) {
+ if (/^[a-f0-9]{40}$/i.test(String(s.infoHash || ''))) return s.infoHash.toLowerCase();
+ if (!/^https?:/i.test(String(s.url || ''))) return '';
+ // Last 40-hex path segment: the hash comes after any config/key segment
+ const segments = String(s.url).split('?')[0].split('/').filter(seg => /^[a-f0-9]{40}$/i.test(seg));
+ return segments.length ? segments[segments.length - 1].toLowerCase() : '';
+}
+
+/**
+ * Record the torrent candidates a source returned for a content ID
+ * Only the torrent is kept (never resolve URLs - they expire and may carry the user's debrid key);
+ * candidates without an infoHash (Nuvio, direct links) are skipped
+ * @param {string} id - Content ID: tt0111161 or tt0903747:1:1
+ * @param {Array} streams - Candidates from one source
+ * @param {string} origin - Source origin tag (torrentio, tpb, ...)
+ */
+function recordStreams(id, streams, origin) {
+ const torrents = (streams || []).filter(s => s && s.autostreamOrigin !== 'index' && getInfoHash(s));
+ if (!id || torrents.length === 0) return 0;
+
+ const now = Date.now();
+ const [imdb, season, episode] = String(id).split(':');
+ let title = titles.get(id);
+ if (!title) {
+ if (titles.size >= MAX_TITLES) evictOldest();
+ title = { lastSeen: now, torrents: {} };
+ }
+ title.lastSeen = now;
+ // Re-insert so Map order stays least recently seen first
+ titles.delete(id);
+ titles.set(id, title);
+
+ for (const s of torrents) {
+ const infoHash = getInfoHash(s);
+ const previous = title.torrents[infoHash] || {};
+ const seeders = getSeeders(s);
+ title.torrents[infoHash] = {
+ title: String(s.title || (s._originalMetadata && s._originalMetadata.originalTitle) || previous.title || '').slice(0, 300),
+ size: (s.behaviorHints && Number(s.behaviorHints.videoSize)) || extractSizeFromStream(s) || previous.size || 0,
+ fileIdx: typeof s.fileIdx === 'number' ? s.fileIdx : previous.fileIdx,
+ filename: (s.behaviorHints && s.behaviorHints.filename) || (s._originalMetadata && s._originalMetadata.filename) || previous.filename || null,
+ imdb,
+ season: season ? parseInt(season, 10) : null,
+ episode: episode ? parseInt(episode, 10) : null,
+ seeders: seeders !== null ? seeders : (previous.seeders !== undefined ? previous.seeders : null),
+ trackers: [...new Set([...getTrackers(s), ...(previous.trackers || [])])].slice(0, MAX_TRACKERS),
+ origin: s.autostreamOrigin || origin || previous.origin || null,
+ seasonPack: !!s.autostreamSeasonPack,
+ lastSeen: now
+ };
+ }
+
+ // Keep the best seeded (then most recently seen) torrents
+ const entries = Object.entries(title.torrents);
+ if (entries.length > MAX_PER_TITLE) {
+ entries.sort((a, b) => (b[1].seeders || 0) - (a[1].seeders || 0) || b[1].lastSeen - a[1].lastSeen);
+ title.torrents = Object.fromEntries(entries.slice(0, MAX_PER_TITLE));
+ }
+
+ saveIndex();
+ return torrents.length;
+}
+
+function evictOldest() {
+ const oldest = titles.keys().next().value;
+ if (oldest !== undefined) titles.delete(oldest);
+}
+
+/**
+ * Indexed torrents for a content ID, as stream candidates (origin "index")
+ * Seeder counts are from when the torrent was last seen, so titles say so
+ * @param {string} id - Content ID: tt0111161 or tt0903747:1:1
+ */
+function lookup(id) {
+ const title = titles.get(id);
+ if (!title) return [];
+ const cutoff = Date.now() - INDEX_TTL;
+
+ return Object.entries(title.torrents)
+ .filter(([, entry]) => entry.lastSeen > cutoff)
+ .map(([infoHash, entry]) => {
+ const ageDays = Math.floor((Date.now() - entry.lastSeen) / (24 * 60 * 60 * 1000));
+ const details = [
+ entry.seeders !== null ? `👤 ${entry.seeders}` : '',
+ entry.size ? `💾 ${(entry.size / 1e9).toFixed(2)} GB` : '',
+ `⚙️ Local index (seen ${ageDays === 0 ? 'today' : `${ageDays}d ago`})`
+ ].filter(Boolean).join(' ');
+
+ const stream = {
+ name: 'Local Index',
+ title: `${entry.title.split('\n')[0]}\n${details}`,
+ infoHash,
+ sources: entry.trackers || [],
+ behaviorHints: {
+ bingeGroup: `index|${infoHash}`,
+ ...(entry.filename ? { filename: entry.filename } : {}),
+ ...(entry.size ? { videoSize: entry.size } : {})
+ },
+ autostreamOrigin: 'index',
+ _fromIndex: true,
+ _indexLastSeen: entry.lastSeen
+ };
+ if (typeof entry.fileIdx === 'number') stream.fileIdx = entry.fileIdx;
+ if (entry.seeders !== null) stream._seeders = entry.seeders;
+ if (entry.seasonPack) stream.autostreamSeasonPack = true;
+ stream._originalMetadata = {
+ fileIdx: typeof entry.fileIdx === 'number' ? entry.fileIdx : 0,
+ infoHash,
+ filename: entry.filename || null,
+ behaviorHints: { ...stream.behaviorHints },
+ sources: entry.trackers || [],
+ trackers: (entry.trackers || []).map(tr => tr.replace(/^tracker:/, '')),
+ originalTitle: entry.title,
+ originalName: 'Local Index',
+ originalDescription: '',
+ source: 'index',
+ isSeasonPack: !!entry.seasonPack,
+ videoSize: entry.size || undefined
+ };
+ return stream;
+ })
+ .sort((a, b) => (b._seeders || 0) - (a._seeders || 0));
+}
+
+/**
+ * Drop torrents (and titles) not seen within INDEX_TTL
+ */
+function cleanup() {
+ const cutoff = Date.now() - INDEX_TTL;
+ let removed = 0;
+ let pruned = 0;
+ for (const [id, title] of titles.entries()) {
+ if (title.lastSeen <= cutoff) {
+ titles.delete(id);
+ removed++;
+ continue;
+ }
+ for (const [infoHash, entry] of Object.entries(title.torrents)) {
+ if (entry.lastSeen > cutoff) continue;
+ delete title.torrents[infoHash];
+ pruned++;
+ }
+ }
+ if (removed > 0 || pruned > 0) {
+ console.log(`[CLEANUP] Torrent index: removed ${removed} titles and ${pruned} torrents not seen for ${INDEX_TTL / (24 * 60 * 60 * 1000)} days, ${titles.size} titles remaining`);
+ saveIndex();
+ }
+}
+
+/**
+ * Index size for diagnostics
+ */
+function getState() {
+ let torrents = 0;
+ for (const title of titles.values()) torrents += Object.keys(title.torrents).length;
+ return { titles: titles.size, torrents, maxTitles: MAX_TITLES };
+}
+
+// Load the index on module initialization
+loadIndex();
+setInterval(cleanup, CLEANUP_INTERVAL).unref(); // Don't keep scripts that require the index alive
+
+module.exports = {
+ recordStreams,
+ lookup,
+ getState
+};
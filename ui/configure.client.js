@@ -38,8 +38,17 @@
  ];
 
  const MAX_LANGS = 10;
+ const MAX_ADDONS = 5;
  const MAX_BLACKLIST = 100;
 
+ // Nuvio providers (ids match services/nuvioProviders.js)
+ const NUVIO_PROVIDERS = [
+ ['showbox','ShowBox'], ['xprime','Xprime'], ['hollymoviehd','HollyMovieHD'], ['soapertv','SoaperTV'],
+ ['vidzee','VidZee'], ['mp4hydra','MP4Hydra'], ['uhdmovies','UHDMovies'], ['moviesmod','MoviesMod'],
+ ['topmovies','TopMovies'], ['dramadrip','DramaDrip'], ['4khdhub','4KHDHub'], ['vixsrc','VixSrc'],
+ ['moviebox','MovieBox']
+ ];
+
  // API Key documentation links for each provider
  const API_KEY_DOCS = {
  'realdebrid': 'https://real-debrid.com/apitoken',
@@ -57,11 +66,17 @@
  apiKey: '',
  fallback: false,
  secondBest: true,
+ cachedOnly: false,
  langs: [],
  blacklist: [],
  maxSizeBytes: 0,
  nuvioEnabled: false,
+ mediafusionEnabled: false,
+ addons: [],
+ torznabUrl: '',
+ torznabKey: '',
  nuvioCookie: '',
+ nuvioExclude: [],
  conserveCookie: true
  };
  
@@ -118,6 +133,27 @@
  state.secondBest = params.get('secondBest') === '1' || params.get('secondBest') === 'true';
  }
  
+ // Load cached-only setting
+ if (params.get('cached_only')) {
+ state.cachedOnly = params.get('cached_only') === '1' || params.get('cached_only') === 'true';
+ }
+ 
+ // Load MediaFusion setting
+ if (params.get('mediafusion')) {
+ state.mediafusionEnabled = params.get('mediafusion') === '1' || params.get('mediafusion') === 'true';
+ }
+ 
+ // Load custom addon manifest URLs (comma-separated, each URL-encoded)
+ if (params.get('addons')) {
+ state.addons = params.get('addons').split(',').map(u => { try { return decodeURIComponent(u); } catch { return ''; } }).filter(Boolean);
+ }
+ 
+ // Load Torznab indexer (URL-encoded like addon URLs)
+ if (params.get('torznab')) {
+ try { state.torznabUrl = decodeURIComponent(params.get('torznab')); } catch {}
+ state.torznabKey = params.get('torznab_key') || '';
+ }
+ 
  // Load Nuvio settings
  if (params.get('include_nuvio') || params.get('nuvio')) {
  state.nuvioEnabled = true;
@@ -127,6 +163,9 @@
  if (params.get('conserve_cookie') === '0') {
  state.conserveCookie = false;
  }
+ if (params.get('nuvio_exclude')) {
+ state.nuvioExclude = params.get('nuvio_exclude').split(',').filter(id => NUVIO_PROVIDERS.some(([v]) => v === id));
+ }
  }
  }
  
@@ -140,6 +179,7 @@
  const apikeyEl = $('#apikey');
  const fallbackEl = $('#fallback1080');
  const secondBestEl = $('#secondBest');
+ const cachedOnlyEl = $('#cachedOnly');
  const langPickerEl = $('#langPicker');
  const langAddEl = $('#langAdd');
  const langClearEl = $('#langClear');
@@ -149,6 +189,10 @@
  const blacklistClearEl = $('#blacklistClear');
  const blacklistPillsEl = $('#blacklistPills');
  const nuvioEnabledEl = $('#nuvioEnabled');
+ const mediafusionEnabledEl = $('#mediafusionEnabled');
+ const customAddonsEl = $('#customAddons');
+ const torznabUrlEl = $('#torznabUrl');
+ const torznabKeyEl = $('#torznabKey');
  const nuvioCookieEl = $('#nuvioCookie');
  const conserveCookieEl = $('#conserveCookie');
  const sizePresetEl = $('#sizePreset');
@@ -157,6 +201,8 @@
  const appBtn = $('#installApp');
  const webBtn = $('#installWeb');
  const cookieSection = document.getElementById('cookieSection');
+ const nuvioProvidersSection = document.getElementById('nuvioProvidersSection');
+ const nuvioProvidersEl = $('#nuvioProviders');
 
  // Init selects
  sizePresetEl.innerHTML = SIZE_PRESETS.map(([v,t])=>`<option value="${v}">${t}</option>`).join('');
@@ -167,7 +213,12 @@
  apikeyEl.value = state.apiKey || '';
  fallbackEl.checked = !!state.fallback;
  secondBestEl.checked = state.secondBest !== false; // Default true
+ cachedOnlyEl.checked = !!state.cachedOnly;
  nuvioEnabledEl.checked = !!state.nuvioEnabled;
+ mediafusionEnabledEl.checked = !!state.mediafusionEnabled;
+ customAddonsEl.value = (state.addons || []).join('\n');
+ torznabUrlEl.value = state.torznabUrl || '';
+ torznabKeyEl.value = state.torznabKey || '';
  nuvioCookieEl.value = state.nuvioCookie || '';
  conserveCookieEl.checked = state.conserveCookie !== false; // Default true
  
@@ -249,6 +300,26 @@
  });
  }
 
+ function renderNuvioProviders(){
+ nuvioProvidersEl.innerHTML = '';
+ NUVIO_PROVIDERS.forEach(([id, name]) => {
+ const pill = document.createElement('label');
+ pill.className = 'pill';
+ const box = document.createElement('input');
+ box.type = 'checkbox';
+ box.checked = !state.nuvioExclude.includes(id);
+ box.onchange = ()=>{
+ state.nuvioExclude = box.checked ? state.nuvioExclude.filter(x => x !== id) : [...state.nuvioExclude, id];
+ persist(); rerender();
+ };
+ const txt = document.createElement('div');
+ txt.className = 'txt';
+ txt.textContent = name;
+ pill.append(box, txt);
+ nuvioProvidersEl.appendChild(pill);
+ });
+ }
+
  // Helper function to remove blacklist item
  window.removeBlacklistItem = function(idx) {
  state.blacklist.splice(idx, 1);
@@ -297,6 +368,13 @@
  persist(); 
  rerender(); 
  };
+ 
+ cachedOnlyEl.onchange= ()=>{ 
+ log('[CONFIG] CachedOnly changed to:', cachedOnlyEl.checked);
+ state.cachedOnly= !!cachedOnlyEl.checked; 
+ persist(); 
+ rerender(); 
+ };
 
  langAddEl.onclick = ()=>{
  if (state.langs.length >= MAX_LANGS) return;
@@ -326,6 +404,14 @@
  rerender();
  refreshCookieVisibility();
  };
+ mediafusionEnabledEl.onchange = ()=>{ state.mediafusionEnabled = !!mediafusionEnabledEl.checked; persist(); rerender(); };
+ customAddonsEl.oninput = ()=>{
+ state.addons = String(customAddonsEl.value || '').split('\n').map(u => u.trim()).filter(Boolean).slice(0, MAX_ADDONS);
+ persist(); 
+ rerender();
+ };
+ torznabUrlEl.oninput = ()=>{ state.torznabUrl = (torznabUrlEl.value||'').trim(); persist(); rerender(); };
+ torznabKeyEl.oninput = ()=>{ state.torznabKey = (torznabKeyEl.value||'').trim(); persist(); rerender(); };
  nuvioCookieEl.oninput = ()=>{ state.nuvioCookie = (nuvioCookieEl.value||'').trim(); persist(); rerender(); };
  conserveCookieEl.onchange = ()=>{ state.conserveCookie = !!conserveCookieEl.checked; persist(); rerender(); };
 
@@ -352,13 +438,17 @@
  }
  wireToggle('toggleFallback', fallbackEl);
  wireToggle('toggleSecondBest', secondBestEl);
+ wireToggle('toggleCachedOnly', cachedOnlyEl);
  wireToggle('toggleNuvio', nuvioEnabledEl);
+ wireToggle('toggleMediaFusion', mediafusionEnabledEl);
  wireToggle('toggleConserveCookie', conserveCookieEl);
 
  function refreshCookieVisibility(){
- if (!cookieSection) return;
- if (nuvioEnabledEl.checked) cookieSection.classList.remove('hidden');
- else cookieSection.classList.add('hidden');
+ for (const section of [cookieSection, nuvioProvidersSection]) {
+ if (!section) continue;
+ if (nuvioEnabledEl.checked) section.classList.remove('hidden');
+ else section.classList.add('hidden');
+ }
  }
 
  // ===============================================
@@ -396,6 +486,11 @@
  parts.push('fallback=1');
  }
 
+ // Cached-only setting
+ if (state.cachedOnly) {
+ parts.push('cached_only=1');
+ }
+
  // Size limit (in GB)
  if (state.maxSizeBytes && Number(state.maxSizeBytes) > 0) {
  const sizeGB = state.maxSizeBytes / BYTES_IN_GB;
@@ -412,11 +507,28 @@
  parts.push(`blacklist=${state.blacklist.join(',')}`);
  }
 
+ // MediaFusion (debrid-only source)
+ if (state.mediafusionEnabled) {
+ parts.push('mediafusion=1');
+ }
+
+ // Custom addons: each URL encoded so its own query/config survives the config path
+ if (state.addons && state.addons.length) {
+ parts.push(`addons=${encodeURIComponent(state.addons.map(u => encodeURIComponent(u)).join(','))}`);
+ }
+
+ // Torznab indexer: URL encoded twice like addon URLs (its own ?apikey=&t= must survive the config path)
+ if (state.torznabUrl) {
+ parts.push(`torznab=${encodeURIComponent(encodeURIComponent(state.torznabUrl))}`);
+ if (state.torznabKey) parts.push(`torznab_key=${encodeURIComponent(state.torznabKey)}`);
+ }
+
  // Nuvio settings
  if (state.nuvioEnabled) {
  parts.push('include_nuvio=1');
  const ck = (state.nuvioCookie || '').trim();
  if (ck) parts.push(`nuvio_cookie=${encodeURIComponent(ck)}`);
+ if (state.nuvioExclude && state.nuvioExclude.length) parts.push(`nuvio_exclude=${state.nuvioExclude.join(',')}`);
  if (!state.conserveCookie) {
  parts.push('conserve_cookie=0');
  }
@@ -426,149 +538,106 @@
  return parts.join('&');
  }
  
- function buildUrl(){
- const params = new URLSearchParams();
-
- log('[CONFIG] buildUrl() called with state:', {
- provider: state.provider,
- apiKey: state.apiKey ? '[REDACTED]' : 'empty',
- fallback: state.fallback,
- langs: state.langs,
- blacklist: state.blacklist,
- maxSizeBytes: state.maxSizeBytes,
- nuvioEnabled: state.nuvioEnabled,
- nuvioCookie: state.nuvioCookie ? '[REDACTED]' : 'empty'
+ // Ask the server to encrypt the configuration into a token so install links never contain raw debrid keys
+ async function fetchConfigToken(configPath) {
+ const response = await fetch(`${originHost}/configure/token`, {
+ method: 'POST',
+ headers: { 'Content-Type': 'application/json' },
+ body: JSON.stringify({ config: configPath })
  });
- 
- // SecondBest (enabled by default, only add if true)
- if (state.secondBest !== false) {
- params.set('secondBest', '1');
- log('[CONFIG] Added secondBest=1');
- }
-
- // Fallback only if enabled
- if (state.fallback) {
- params.set('fallback', '1');
- log('[CONFIG] Added fallback=1');
+ const data = await response.json();
+ if (!response.ok || !data.token) throw new Error(data.error || `HTTP ${response.status}`);
+ return data.token;
  }
 
- // Debrid: include exactly one provider param ONLY when provider + key are provided
- const key = (state.apiKey || '').trim();
- const prov = (state.provider || '').trim(); // alldebrid, realdebrid, etc.
- if (prov && key) {
- // Map provider names to parameter keys - this was the missing piece!
- const map = { 
- 'alldebrid': 'alldebrid',
- 'realdebrid': 'realdebrid', 
- 'premiumize': 'premiumize',
- 'torbox': 'torbox',
- 'offcloud': 'offcloud',
- 'easydebrid': 'easydebrid',
- 'debridlink': 'debridlink',
- 'putio': 'putio',
- // Legacy support for old short codes
- 'AD': 'alldebrid', 'RD': 'realdebrid', 'PM': 'premiumize', 'TB': 'torbox', 'OC': 'offcloud'
- };
- const pk = map[prov];
- if (pk) {
- params.set(pk, key);
- log(`[CONFIG] Added ${pk}=[REDACTED]`);
- } else {
- log('[CONFIG] Unknown provider:', prov);
+ // Save the configuration as a server-side profile so the install link is a short /u/{id}/manifest.json.
+ // The profile ID and edit key stay in this browser; later changes update the same profile in place.
+ async function saveProfile(configPath) {
+ let saved = null;
+ try { saved = JSON.parse(localStorage.getItem('autostream_profile') || 'null'); } catch {}
+ 
+ const endpoint = saved && saved.id ? `${originHost}/profiles/${encodeURIComponent(saved.id)}` : `${originHost}/profiles`;
+ const response = await fetch(endpoint, {
+ method: 'POST',
+ headers: { 'Content-Type': 'application/json' },
+ body: JSON.stringify({ config: configPath, editKey: saved && saved.editKey })
+ });
+ const data = await response.json();
+ 
+ // Profile deleted or edit key lost: start a new one
+ if (saved && (response.status === 404 || response.status === 403)) {
+ localStorage.removeItem('autostream_profile');
+ return saveProfile(configPath);
  }
- } else {
- log('[CONFIG] No debrid provider configured (provider:', prov, ', key:', key ? '[REDACTED]' : 'empty', ')');
+ if (!response.ok || !data.id) throw new Error(data.error || `HTTP ${response.status}`);
+ 
+ if (data.editKey) localStorage.setItem('autostream_profile', JSON.stringify({ id: data.id, editKey: data.editKey }));
+ return data.id;
  }
 
- // Size only if > 0 (send as GB, not bytes)
- if (state.maxSizeBytes && Number(state.maxSizeBytes) > 0) {
- const sizeGB = state.maxSizeBytes / BYTES_IN_GB;
- params.set('max_size', String(sizeGB));
- log('[CONFIG] Added max_size=' + sizeGB);
+ // Manifest path for the current configuration: a profile, or an encrypted token if profiles are unavailable
+ async function resolveManifestPath(configPath) {
+ try {
+ return `u/${await saveProfile(configPath)}`;
+ } catch (e) {
+ log('[CONFIG] Profile save failed, using config token:', e.message);
+ return fetchConfigToken(configPath);
  }
-
- // Priority languages only when set
- if (state.langs && state.langs.length) {
- params.set('lang_prio', state.langs.join(','));
- log('[CONFIG] Added lang_prio=' + state.langs.join(','));
  }
 
- // Blacklist terms only when set
- if (state.blacklist && state.blacklist.length) {
- params.set('blacklist', state.blacklist.join(','));
- log('[CONFIG] Added blacklist=' + state.blacklist.join(','));
+ function setInstallButtons(enabled, label) {
+ for (const btn of [appBtn, webBtn]) {
+ btn.classList.toggle('btn-disabled', !enabled);
+ if (enabled) {
+ btn.removeAttribute('aria-disabled');
+ } else {
+ btn.setAttribute('aria-disabled', 'true');
+ btn.removeAttribute('href');
  }
-
- // Nuvio only if enabled
- if (state.nuvioEnabled) {
- params.set('include_nuvio', '1');
- params.set('nuvio', '1'); // explicit enable flag; omit entirely when disabled
- log('[CONFIG] Added include_nuvio=1 and nuvio=1');
- 
- const ck = (state.nuvioCookie || '').trim();
- if (ck) {
- params.set('nuvio_cookie', ck);
- log('[CONFIG] Added nuvio_cookie=[REDACTED]');
- }
- 
- // Cookie conservation setting (default true, only set if false)
- if (!state.conserveCookie) {
- params.set('conserve_cookie', '0');
- log('[CONFIG] Added conserve_cookie=0');
  }
+ appBtn.textContent = enabled ? 'Install to Stremio' : label;
+ webBtn.textContent = enabled ? 'Install to Web' : label;
  }
 
- const qs = params.toString();
- const url = originHost + '/manifest.json' + (qs ? ('?' + qs) : '');
- log('[LINK] Generated query-based URL:', url);
- log('[CONFIG] Query string parameters:', qs);
- return url;
- }
+ // Only the latest request may update the links (typing fires many rerenders)
+ let tokenRequestSeq = 0;
+ let tokenTimer = null;
 
 function rerender(){
  const configPath = buildConfigPath();
- const queryBasedUrl = buildUrl();
- let manifestUrl;
  
  // Check if debrid is properly configured (both provider and API key required)
  const hasDebrid = state.provider && state.apiKey && state.apiKey.trim().length > 0;
- 
- if (configPath) {
- manifestUrl = `${originHost}/${configPath}/manifest.json`;
- } else {
- manifestUrl = `${originHost}/manifest.json`;
- }
- 
- // Display URL without protocol
- const displayUrl = manifestUrl.replace(/^https?:\/\//, '');
- manifestEl.textContent = hasDebrid ? displayUrl : 'Please select a debrid provider and enter your API key';
+ const seq = ++tokenRequestSeq;
+ clearTimeout(tokenTimer);
  
  // Install links - only enable when debrid is configured
  if (hasDebrid) {
- // Enable buttons
- appBtn.classList.remove('btn-disabled');
- webBtn.classList.remove('btn-disabled');
- appBtn.removeAttribute('aria-disabled');
- webBtn.removeAttribute('aria-disabled');
- 
- if (configPath) {
-  appBtn.href = `stremio://${window.location.host}/${configPath}/manifest.json`;
- } else {
-  appBtn.href = `stremio://${window.location.host}/manifest.json`;
+ setInstallButtons(false, 'Preparing...');
+ manifestEl.textContent = 'Preparing install link...';
+ 
+ tokenTimer = setTimeout(async () => {
+ try {
+ const manifestPath = await resolveManifestPath(configPath);
+ if (seq !== tokenRequestSeq) return;
+ 
+ const manifestUrl = `${originHost}/${manifestPath}/manifest.json`;
+ // Display URL without protocol
+ manifestEl.textContent = manifestUrl.replace(/^https?:\/\//, '');
+ appBtn.href = `stremio://${window.location.host}/${manifestPath}/manifest.json`;
+ webBtn.href = `https://web.stremio.com/#/addons?addon=${encodeURIComponent(manifestUrl)}`;
+ setInstallButtons(true);
+ } catch (e) {
+ if (seq !== tokenRequestSeq) return;
+ log('[CONFIG] Install link request failed:', e.message);
+ manifestEl.textContent = 'Could not prepare the install link - please try again';
+ setInstallButtons(false, 'Unavailable');
  }
- webBtn.href = `https://web.stremio.com/#/addons?addon=${encodeURIComponent(queryBasedUrl)}`;
- appBtn.textContent = 'Install to Stremio';
- webBtn.textContent = 'Install to Web';
+ }, 500);
  } else {
  // Disable buttons - debrid is required
- appBtn.classList.add('btn-disabled');
- webBtn.classList.add('btn-disabled');
- appBtn.setAttribute('aria-disabled', 'true');
- webBtn.setAttribute('aria-disabled', 'true');
- appBtn.removeAttribute('href');
- webBtn.removeAttribute('href');
- appBtn.textContent = 'Debrid Required';
- webBtn.textContent = 'Debrid Required';
+ manifestEl.textContent = 'Please select a debrid provider and enter your API key';
+ setInstallButtons(false, 'Debrid Required');
  }
  
  // Update API key documentation link based on selected provider
@@ -588,6 +657,7 @@ function rerender(){
 
  renderLangPills();
  renderBlacklistPills();
+ renderNuvioProviders();
  syncSize();
  refreshCookieVisibility();
  rerender();
@@ -610,8 +680,12 @@ function rerender(){
  
  async request(endpoint, options = {}) {
  try {
+ // Clearing penalties is an admin action; the admin token is only read from this browser's storage
+ const adminToken = localStorage.getItem('autostream_admin_token') || '';
+ const headers = { 'Content-Type': 'application/json' };
+ if (adminToken && endpoint.startsWith('/admin/')) headers['Authorization'] = `Bearer ${adminToken}`;
  const response = await fetch(`${this.serverUrl}${endpoint}`, {
- headers: { 'Content-Type': 'application/json' },
+ headers,
  ...options
  });
  return await response.json();
@@ -631,14 +705,14 @@ function rerender(){
  },
  
  async clearPenalty(url) {
- return await this.request('/reliability/clear', {
+ return await this.request('/admin/penalties/clear', {
  method: 'POST',
  body: JSON.stringify({ url })
  });
  },
  
  async clearAllPenalties() {
- return await this.request('/reliability/clear', {
+ return await this.request('/admin/penalties/clear', {
  method: 'POST',
  body: JSON.stringify({})
  });
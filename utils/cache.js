@@ -1,21 +1,81 @@
 'use strict';
+/**
+ * TTL cache with optional stale-while-revalidate
+ * - ttlMs: how long an entry is fresh; get() only returns fresh entries
+ * - staleMs: how long after that getOrLoad() still answers with the old value while it refreshes in the background;
+ *   a failed refresh keeps the old value until ttlMs + staleMs (the hard TTL)
+ * - getOrLoad() coalesces concurrent loads of one key into a single loader call
+ */
 class TTLCache {
- constructor({ max = 500, ttlMs = 60 * 60 * 1000 } = {}) {
- this.max = max; this.ttlMs = ttlMs; this.map = new Map();
+ constructor({ max = 500, ttlMs = 60 * 60 * 1000, staleMs = 0 } = {}) {
+ this.max = max; this.ttlMs = ttlMs; this.staleMs = staleMs; this.map = new Map();
+ this.inflight = new Map(); // key -> loader promise
+ this.generation = 0; // Bumped by clear() so loads started before it don't write back
+ this.stats = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshFailures: 0 };
  }
- get(key) {
+ entry(key) {
  const e = this.map.get(key);
  if (!e) return undefined;
- if (e.expires > Date.now()) return e.val;
+ if (e.expires + this.staleMs > Date.now()) return e;
  this.map.delete(key);
  return undefined;
  }
+ get(key) {
+ const e = this.entry(key);
+ return e && e.expires > Date.now() ? e.val : undefined;
+ }
  set(key, val) {
- if (this.map.size >= this.max) {
+ if (!this.map.has(key) && this.map.size >= this.max) {
  const k = this.map.keys().next().value;
  if (k !== undefined) this.map.delete(k);
  }
+ this.map.delete(key);
  this.map.set(key, { val, expires: Date.now() + this.ttlMs });
  }
+ /**
+ * Fresh value, else stale value (refreshing in the background), else the loader's result
+ * @param {*} key - Cache key
+ * @param {Function} loader - async () => value; throw to signal a failed upstream call (nothing is cached)
+ * @returns {Promise<*>} - Rejects only when there is no value to fall back on and the loader failed
+ */
+ getOrLoad(key, loader) {
+ const e = this.entry(key);
+ if (e && e.expires > Date.now()) {
+ this.stats.hits++;
+ return Promise.resolve(e.val);
+ }
+ if (e) {
+ this.stats.staleHits++;
+ this.load(key, loader).catch(() => { this.stats.refreshFailures++; });
+ return Promise.resolve(e.val);
+ }
+ if (this.inflight.has(key)) {
+ this.stats.coalesced++;
+ return this.inflight.get(key);
+ }
+ this.stats.misses++;
+ return this.load(key, loader);
+ }
+ load(key, loader) {
+ if (this.inflight.has(key)) return this.inflight.get(key);
+ const generation = this.generation;
+ const promise = Promise.resolve()
+ .then(loader)
+ .then(val => {
+ if (generation === this.generation) this.set(key, val);
+ return val;
+ })
+ .finally(() => this.inflight.delete(key));
+ this.inflight.set(key, promise);
+ return promise;
+ }
+ get size() { return this.map.size; }
+ getStats() { return { size: this.map.size, inflight: this.inflight.size, ...this.stats }; }
+ clear() {
+ const n = this.map.size;
+ this.map.clear();
+ this.generation++;
+ return n;
+ }
 }
 module.exports = { TTLCache };
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * hostGuard.js
+ *
+ * Keeps user-supplied URLs (custom addons, Torznab indexers) from reaching private networks through the server
+ * - Hosts are resolved and rejected when any address is loopback, private (RFC1918, unique-local), link-local
+ *   (169.254.169.254 metadata), CGNAT, multicast or otherwise reserved
+ * - Redirects are followed by hand so every hop is checked
+ * - Self-hosters opt in per instance: PRIVATE_SOURCE_HOSTS=jackett.lan,192.168.1.10 (or * for any host)
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const { PRIVATE_SOURCE_HOSTS } = require('../constants');
+const { fetchWithTimeout } = require('./http');
+
+const MAX_REDIRECTS = 5;
+
+const allowedHosts = new Set(String(PRIVATE_SOURCE_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean));
+
+function ipv4ToInt(ip) {
+ return ip.split('.').reduce((n, part) => (n * 256) + parseInt(part, 10), 0);
+}
+
+// [network, prefix length]
+const PRIVATE_V4 = [
+ ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+ ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].map(([network, bits]) => ({ base: ipv4ToInt(network), size: Math.pow(2, 32 - bits) }));
+
+function isPrivateV4(ip) {
+ const n = ipv4ToInt(ip);
+ return PRIVATE_V4.some(({ base, size }) => n >= base && n < base + size);
+}
+
+/**
+ * Whether an IP address is not reachable as a public internet host
+ */
+function isPrivateAddress(ip) {
+ const address = String(ip || '').toLowerCase().replace(/^\[|\]$/g, '');
+ if (net.isIPv4(address)) return isPrivateV4(address);
+ if (!net.isIPv6(address)) return true;
+
+ // IPv4-mapped / NAT64 addresses carry an IPv4 address in the last 32 bits
+ const embedded = address.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+ if (embedded) return isPrivateV4(embedded[1]);
+ const mappedHex = address.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+ if (mappedHex) {
+ const hi = parseInt(mappedHex[1], 16);
+ const lo = parseInt(mappedHex[2], 16);
+ return isPrivateV4(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+ }
+
+ return address === '::' || address === '::1' ||
+ /^f[cd]/.test(address) || // Unique local fc00::/7
+ /^fe[89ab]/.test(address) || // Link-local fe80::/10
+ /^ff/.test(address); // Multicast
+}
+
+/**
+ * Throw unless the URL's host resolves to public addresses only (or is allowed by PRIVATE_SOURCE_HOSTS)
+ * Error messages name the host only - user URLs may carry API keys
+ */
+async function assertPublicUrl(url) {
+ const { protocol, hostname } = new URL(url);
+ if (protocol !== 'https:' && protocol !== 'http:') throw new Error(`Unsupported protocol ${protocol}`);
+ const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+ if (allowedHosts.has('*') || allowedHosts.has(host)) return;
+
+ const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true, verbatim: true });
+ if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+ throw new Error(`Host ${host} resolves to a private address (allow it with PRIVATE_SOURCE_HOSTS)`);
+ }
+}
+
+/**
+ * fetchWithTimeout for user-supplied URLs: every hop (redirects included) must pass assertPublicUrl
+ * The timeout covers the whole chain
+ */
+async function fetchPublicUrl(url, init = {}, ms = 12000) {
+ const deadline = Date.now() + (ms || 12000);
+ let current = url;
+ for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+ await assertPublicUrl(current);
+ const r = await fetchWithTimeout(current, { ...init, redirect: 'manual' }, Math.max(1, deadline - Date.now()));
+ const location = r.status >= 300 && r.status < 400 ? r.headers.get('location') : null;
+ if (!location) return r;
+ current = new URL(location, current).href;
+ }
+ throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
+
+module.exports = { isPrivateAddress, assertPublicUrl, fetchPublicUrl };